@@ -1,12 +1,53 @@
 require("dotenv").config();
 const {App} = require("@slack/bolt");
 const http = require("http");
+const crypto = require("crypto");
+const axios = require("axios");
 const {
   fetchAllNews,
   searchNews,
   isLoadingNews,
   getCacheStatus,
+  registerFeed,
+  previewFeedImport,
+  applyFeedImport,
+  invalidateFeed,
+  onNewsRefreshed,
+  FEED_ERROR_LABELS,
 } = require("./modules/newsCache");
+const feedRegistry = require("./modules/feedRegistry");
+const feedHealth = require("./modules/feedHealth");
+const {filterUnsent, markSent} = require("./modules/sentHistory");
+const subscriptions = require("./modules/subscriptions");
+const digestProfiles = require("./modules/digestProfiles");
+const {scheduleJob, DEFAULT_TIMEZONE} = require("./modules/scheduler");
+const {getHolidayName} = require("./modules/holidays");
+const {authorizeDigestRequest} = require("./modules/digestAuth");
+const {authorizeApiRequest} = require("./modules/apiAuth");
+const {
+  parseSearchQuery,
+  describeSearchQuery,
+} = require("./modules/searchQuery");
+const categories = require("./modules/categories");
+const {recordArticles} = require("./modules/articleHistory");
+const {computeWeeklyTrends} = require("./modules/trends");
+const feedback = require("./modules/feedback");
+const bookmarks = require("./modules/bookmarks");
+const metrics = require("./modules/metrics");
+const {
+  logger,
+  createCorrelationId,
+  slackCorrelationMiddleware,
+} = require("./modules/logger");
+const userPreferences = require("./modules/userPreferences");
+const discussions = require("./modules/discussions");
+const {parseOpml, buildOpml} = require("./modules/opml");
+const {
+  FEED_FORMATS,
+  filterBySource,
+  renderFeed,
+  isNotModified,
+} = require("./modules/syndication");
 
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
@@ -16,13 +57,19 @@ const app = new App({
 });
 
 app.client.on("socket_mode_disconnect", () => {
-  console.log("🔌 Socket Mode 연결이 끊어졌습니다.");
+  logger.info("🔌 Socket Mode 연결이 끊어졌습니다.");
 });
 
 app.client.on("socket_mode_connect", () => {
-  console.log("✅ Socket Mode 연결이 복구되었습니다.");
+  logger.info("✅ Socket Mode 연결이 복구되었습니다.");
 });
 
+// 명령어/버튼/모달/멘션마다 correlationId를 만들어 context.log로 전달
+app.use(slackCorrelationMiddleware);
+
+// 모든 명령어/버튼/모달/이벤트 처리 시간과 오류를 지표로 기록
+app.use(metrics.slackHandlerMiddleware);
+
 // 세션별 뉴스 저장 (페이지네이션용)
 const newsSessions = new Map();
 const SESSION_TTL = 30 * 60 * 1000; // 30분
@@ -30,6 +77,17 @@ const SESSION_TTL = 30 * 60 * 1000; // 30분
 // 검색 세션 저장
 const searchSessions = new Map();
 
+// /metrics 스크랩 시 읽는 캐시/세션 상태
+metrics.setStateProvider(() => {
+  const status = getCacheStatus();
+  return {
+    cacheAgeSeconds: status.cacheAge,
+    cachedItems: status.totalCached,
+    staleItems: status.staleCached,
+    sessions: {news: newsSessions.size, search: searchSessions.size},
+  };
+});
+
 // 세션 정리 함수
 function cleanupSessions() {
   const now = Date.now();
@@ -187,25 +245,173 @@ function cleanNewsTitle(title) {
 }
 
 /**
- * Function that formats news items to Slack-compatible text block
+ * Slack mrkdwn 특수문자 이스케이프 (요약 본문용)
+ * @param {string} text - 원본 텍스트
+ * @returns {string} 이스케이프된 텍스트
+ */
+function escapeMrkdwn(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * 뉴스 아이템 블록 ID (요약 펼치기/접기 시 같은 메시지 안에서 블록을 찾기 위함)
+ * @param {Object} item - News item
+ * @returns {string} 블록 ID
+ */
+function getNewsBlockId(item) {
+  const hash = crypto.createHash("sha1").update(item.link).digest("hex");
+  return `news_${hash.substring(0, 16)}`;
+}
+
+/**
+ * 북마크 저장 버튼 값 (세션이 만료돼도 저장할 수 있도록 글 정보를 함께 담음)
+ * @param {Object} item - News item
+ * @returns {string} 버튼 값 (JSON)
+ */
+function getBookmarkValue(item) {
+  return JSON.stringify({
+    link: item.link,
+    title: item.title.substring(0, 150),
+    source: item.source,
+    publishedAt: item.isoDate || item.pubDate || null,
+  });
+}
+
+// Slack 버튼 value 최대 길이
+const MAX_BUTTON_VALUE_LENGTH = 2000;
+
+/**
+ * 요약 펼치기/접기 버튼 값 (캐시를 갱신하는 중이거나 글이 캐시에서 빠져도
+ * 바꿀 수 있도록 눌렀을 때 보여줄 요약을 함께 담음)
+ * @param {string} link - 뉴스 링크
+ * @param {string|null} summary - 버튼을 누르면 보여줄 요약
+ * @returns {string} 버튼 값 (JSON)
+ */
+function getSummaryToggleValue(link, summary) {
+  let text = summary || null;
+  let value = JSON.stringify({link, summary: text});
+  // 최대 길이를 넘으면 요약 끝을 잘라냄
+  while (value.length > MAX_BUTTON_VALUE_LENGTH && text && text.length > 1) {
+    const overflow = value.length - MAX_BUTTON_VALUE_LENGTH;
+    text = `${text.slice(0, Math.max(0, text.length - overflow - 1))}…`;
+    value = JSON.stringify({link, summary: text});
+  }
+  return value;
+}
+
+/**
+ * 요약 펼치기/접기 버튼 값 해석 (예전 버튼은 링크만 담고 있음)
+ * @param {string} value - 버튼 값
+ * @returns {{link: string, summary: string|null}} 링크와 보여줄 요약
+ */
+function parseSummaryToggleValue(value) {
+  try {
+    const {link, summary = null} = JSON.parse(value);
+    return {link, summary};
+  } catch {
+    return {link: value, summary: null};
+  }
+}
+
+/**
+ * 요약 펼치기/접기 버튼
+ * @param {string} link - 뉴스 링크
+ * @param {boolean} expanded - 현재 긴 요약을 표시 중인지 여부
+ * @param {string|null} summary - 버튼을 누르면 보여줄 요약
+ * @returns {Object} 버튼 요소
+ */
+function createSummaryToggleButton(link, expanded, summary) {
+  return {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: expanded ? "요약 접기 🔼" : "요약 더보기 🔽",
+      emoji: true,
+    },
+    value: getSummaryToggleValue(link, summary),
+    action_id: expanded ? "collapse_summary" : "expand_summary",
+  };
+}
+
+/**
+ * Function that formats news items to Slack-compatible text blocks
  * @param {Object} item - News item
- * @returns {Object} Formatted block
+ * @param {boolean} expanded - 긴 요약 표시 여부
+ * @param {Object} options - 표시 옵션
+ * @param {string|null} options.discussionLabel - 토론 버튼 텍스트 (다이제스트에서만 표시)
+ * @returns {Array} Formatted blocks (뉴스 섹션, 긴 요약이나 토론 버튼이 있으면 버튼 블록)
  */
-function formatNewsItem(item) {
-  const {title, link, isoDate, pubDate, source} = item;
+function formatNewsItem(item, expanded = false, options = {}) {
+  const {discussionLabel = null} = options;
+  const {
+    title,
+    link,
+    isoDate,
+    pubDate,
+    source,
+    alsoOn = [],
+    summary,
+    summaryLong,
+  } = item;
   const date = isoDate || pubDate;
   const formattedDate = new Date(date).toLocaleDateString("ko-KR");
 
   // 제목 정리 - 모든 가능한 특수문자와 포맷팅 문제 해결
   const cleanTitle = cleanNewsTitle(title);
 
-  return {
-    type: "section",
-    text: {
-      type: "mrkdwn",
-      text: `*<${link}|${cleanTitle}>*\n${source} | ${formattedDate}`,
+  // 같은 글이 실린 다른 소스 표시
+  const alsoOnText = alsoOn.length > 0 ? ` | also on: ${alsoOn.join(", ")}` : "";
+
+  // 본문 요약 (펼친 상태면 긴 요약)
+  const summaryText = expanded && summaryLong ? summaryLong : summary;
+  const summaryLine = summaryText ? `\n> ${escapeMrkdwn(summaryText)}` : "";
+
+  const blockId = getNewsBlockId(item);
+  const blocks = [
+    {
+      type: "section",
+      block_id: blockId,
+      text: {
+        type: "mrkdwn",
+        text: `*<${link}|${cleanTitle}>*\n${source} | ${formattedDate}${alsoOnText}${summaryLine}`,
+      },
+      // 개인 읽기 목록에 저장
+      accessory: {
+        type: "button",
+        text: {type: "plain_text", text: "🔖 저장", emoji: true},
+        value: getBookmarkValue(item),
+        action_id: "save_bookmark",
+      },
     },
-  };
+  ];
+
+  // 긴 요약이 있으면 펼치기/접기 버튼, 다이제스트에서는 토론 버튼
+  const actions = [];
+  if (summaryLong) {
+    actions.push(
+      createSummaryToggleButton(link, expanded, expanded ? summary : summaryLong)
+    );
+  }
+  if (discussionLabel) {
+    actions.push({
+      type: "button",
+      text: {type: "plain_text", text: discussionLabel, emoji: true},
+      value: link,
+      action_id: "open_discussion",
+    });
+  }
+  if (actions.length > 0) {
+    blocks.push({
+      type: "actions",
+      block_id: `${blockId}_actions`,
+      elements: actions,
+    });
+  }
+
+  return blocks;
 }
 
 /**
@@ -228,18 +434,24 @@ function createNewsBlocks(options) {
     headerText = null,
     totalItems = null,
     keyword = null,
+    filters = [],
+    category = null,
+    pageSize = userPreferences.DEFAULT_PREFERENCES.pageSize,
   } = options;
 
   // 헤더 텍스트 결정
+  const categoryText = category ? ` · ${category}` : "";
   let header;
   if (headerText) {
     header = headerText;
   } else if (keyword) {
     header = `🔍 검색 결과: "${keyword}" (${totalItems || items.length}개)`;
   } else if (offset === 0) {
-    header = `📰 최신 기술 뉴스`;
+    header = `📰 최신 기술 뉴스${categoryText}`;
   } else {
-    header = `📰 이전 기술 뉴스 (${offset + 1} - ${offset + items.length})`;
+    header = `📰 이전 기술 뉴스${categoryText} (${offset + 1} - ${
+      offset + items.length
+    })`;
   }
 
   const blocks = [
@@ -247,9 +459,23 @@ function createNewsBlocks(options) {
       type: "header",
       text: {type: "plain_text", text: header, emoji: true},
     },
-    {type: "divider"},
   ];
 
+  // 적용된 검색 조건 표시 (채널의 다른 사람도 어떤 결과인지 알 수 있도록)
+  if (filters.length > 0) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `🔎 적용된 조건: ${filters.join(" · ")}`,
+        },
+      ],
+    });
+  }
+
+  blocks.push({type: "divider"});
+
   // 뉴스 아이템 추가
   if (items.length === 0) {
     blocks.push({
@@ -263,7 +489,7 @@ function createNewsBlocks(options) {
     });
   } else {
     items.forEach((item) => {
-      blocks.push(formatNewsItem(item));
+      blocks.push(...formatNewsItem(item));
     });
   }
 
@@ -285,20 +511,20 @@ function createNewsBlocks(options) {
             text: "더 이전 뉴스 보기 ➡️",
             emoji: true,
           },
-          value: `${sessionId}_${offset + 5}`,
+          value: `${sessionId}_${offset + pageSize}`,
           action_id: "load_older_news",
         });
       }
 
       // 다음 뉴스 보기 버튼 (더 최신 뉴스로 이동)
-      // 조건: 첫 페이지가 아닌 모든 페이지에서 표출 (offset >= 5)
-      const isNotFirstPage = offset >= 5; // 첫 페이지(1-5) 제외
+      // 조건: 첫 페이지가 아닌 모든 페이지에서 표출 (offset >= pageSize)
+      const isNotFirstPage = offset >= pageSize; // 첫 페이지 제외
 
       if (isNotFirstPage) {
         actions.push({
           type: "button",
           text: {type: "plain_text", text: "⬅️ 더 최신 뉴스", emoji: true},
-          value: `${sessionId}_${Math.max(0, offset - 5)}`, // 더 최신으로 (offset 감소)
+          value: `${sessionId}_${Math.max(0, offset - pageSize)}`, // 더 최신으로 (offset 감소)
           action_id: "load_more_extended",
         });
       }
@@ -341,6 +567,9 @@ function createNewsBlocks(options) {
 function formatNewsToBlocks(newsItems, currentOffset = 0, sessionId = null) {
   const session = getSession(sessionId);
   const keyword = session?.keyword || null;
+  const filters = session?.filters || [];
+  const category = session?.category || null;
+  const pageSize = getSessionPageSize(session);
   const totalItems = session?.items?.length || newsItems.length;
 
   return createNewsBlocks({
@@ -348,12 +577,29 @@ function formatNewsToBlocks(newsItems, currentOffset = 0, sessionId = null) {
     offset: currentOffset,
     sessionId,
     keyword,
+    filters,
+    category,
+    pageSize,
     totalItems,
   });
 }
 
+/**
+ * 세션의 페이지 크기 (세션을 만든 사용자의 설정, 없으면 기본값)
+ * @param {Object|null} session - 세션 데이터
+ * @returns {number} 페이지 크기
+ */
+function getSessionPageSize(session) {
+  return session?.pageSize || userPreferences.DEFAULT_PREFERENCES.pageSize;
+}
+
+// 검색 문법 안내
+const SEARCH_SYNTAX_TEXT =
+  "• `source:toss` 소스 지정 · `since:7d` / `after:2026-10-01` 기간 지정\n" +
+  '• `"정확한 구문"` 구문 일치 · `-react` 제외 · `kubernetes OR k8s` 둘 중 하나';
+
 // 뉴스 검색 명령어
-app.command("/뉴스검색", async ({ack, respond, command}) => {
+app.command("/뉴스검색", async ({ack, respond, command, context}) => {
   const startTime = Date.now();
   await ack();
 
@@ -363,15 +609,31 @@ app.command("/뉴스검색", async ({ack, respond, command}) => {
     if (!keyword) {
       await respond({
         response_type: "ephemeral",
-        text: "🔍 검색어를 입력해주세요. 예: `/뉴스검색 AI`",
+        text: `🔍 검색어를 입력해주세요. 예: \`/뉴스검색 AI\`\n${SEARCH_SYNTAX_TEXT}`,
+      });
+      return;
+    }
+
+    let query;
+    try {
+      query = parseSearchQuery(keyword);
+    } catch (error) {
+      await respond({
+        response_type: "ephemeral",
+        text: `😭 검색어를 해석할 수 없습니다: ${error.message}\n${SEARCH_SYNTAX_TEXT}`,
       });
       return;
     }
+    const filters = describeSearchQuery(query);
 
-    console.log(`🔍 검색 요청: "${keyword}"`);
+    context.log.info(`🔍 검색 요청: "${keyword}"`);
 
-    // 검색 실행
-    const searchResults = await searchNews(keyword);
+    // 검색 실행 (관련도 순서는 유지하고 제외 소스/언어 설정만 적용)
+    const preferences = userPreferences.getPreferences(command.user_id);
+    const searchResults = userPreferences.filterByPreferences(
+      await searchNews(query, null, {correlationId: context.correlationId}),
+      preferences
+    );
 
     if (searchResults.length === 0) {
       await respond({
@@ -382,28 +644,35 @@ app.command("/뉴스검색", async ({ack, respond, command}) => {
     }
 
     // 검색 세션 생성
-    const sessionId = createSession(searchResults, "search", {keyword});
+    const sessionId = createSession(searchResults, "search", {
+      keyword,
+      filters,
+      pageSize: preferences.pageSize,
+    });
 
-    const newsItems = searchResults.slice(0, 5);
+    const newsItems = searchResults.slice(0, preferences.pageSize);
     const blocks = createNewsBlocks({
       items: newsItems,
       sessionId,
       keyword,
+      filters,
+      pageSize: preferences.pageSize,
       totalItems: searchResults.length,
     });
 
     const duration = Date.now() - startTime;
-    console.log(
+    context.log.info(
       `✅ 검색 완료: "${keyword}" - ${searchResults.length}개 결과 (${duration}ms)`
     );
 
     await respond({
-      response_type: "in_channel",
+      response_type: preferences.visibility,
       text: `검색 결과: "${keyword}"`,
       blocks: blocks,
     });
   } catch (error) {
-    console.error("❌ 검색 중 오류:", error);
+    context.log.error("❌ 검색 중 오류:", {error});
+    metrics.recordHandlerError();
     await respond({
       response_type: "ephemeral",
       text: "😭 검색 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
@@ -417,7 +686,13 @@ app.command("/캐시상태", async ({ack, respond}) => {
 
   const status = getCacheStatus();
   const feedList = Object.entries(status.feeds || {})
-    .map(([name, count]) => `  • ${name}: ${count}개`)
+    .map(([name, count]) => {
+      const {downloads = 0, notModified = 0} = status.downloads?.[name] || {};
+      const requests = downloads + notModified;
+      const savedText =
+        requests > 0 ? ` (304로 다운로드 절약 ${notModified}/${requests}회)` : "";
+      return `  • ${name}: ${count}개${savedText}`;
+    })
     .join("\n");
 
   const loadingStatus = status.isLoading
@@ -434,7 +709,9 @@ app.command("/캐시상태", async ({ack, respond}) => {
           text:
             `*📊 Cloud Run 캐시 상태*\n\n` +
             `• 총 캐시 아이템: ${status.totalCached}개\n` +
+            `• 만료 후 보관 중인 아이템: ${status.staleCached}개\n` +
             `• 캐시 연령: ${status.cacheAge}초\n` +
+            `• 캐시 저장소: ${status.backend}\n` +
             `${loadingStatus}\n\n` +
             `*피드별 상태:*\n${feedList || "  (캐시 비어있음)"}`,
         },
@@ -444,7 +721,9 @@ app.command("/캐시상태", async ({ack, respond}) => {
         elements: [
           {
             type: "mrkdwn",
-            text: "☁️ Cloud Run 환경 - 인스턴스 유지 시간 동안만 캐시 유효",
+            text: status.persistent
+              ? "💾 영구 캐시 저장소 사용 - 콜드 스타트 후에도 마지막 수집 결과로 응답"
+              : "☁️ Cloud Run 환경 - 인스턴스 유지 시간 동안만 캐시 유효",
           },
         ],
       },
@@ -452,540 +731,3558 @@ app.command("/캐시상태", async ({ack, respond}) => {
   });
 });
 
-app.command("/뉴스", async ({ack, respond}) => {
-  const startTime = Date.now();
-
-  await ack();
-
-  try {
-    // 캐시 상태 확인 (디버깅용)
-    const cacheStatus = getCacheStatus();
-    console.log(`📊 캐시 상태: ${JSON.stringify(cacheStatus)}`);
-
-    // 이미 로딩 중인 경우 로딩 메시지 표시
-    if (isLoadingNews()) {
-      const status = getCacheStatus();
-      await respond({
-        response_type: "ephemeral",
-        text: `⏳ 뉴스를 불러오는 중입니다... (경과 시간: ${status.loadingTime}초)\n잠시만 기다려주세요. ☀️`,
-      });
-      return;
-    }
-
-    // 캐시가 비어있고 로딩이 필요한 경우 즉시 로딩 메시지 표시
-    if (cacheStatus.totalCached === 0) {
-      console.log(`⚡ 캐시 없음 - 즉시 로딩 메시지 표시 후 RSS 파싱 시작`);
+// 피드 목록/상태 페이지당 피드 수 (Slack 메시지는 블록 50개까지)
+const FEEDS_PER_PAGE = 20;
 
-      await respond({
-        response_type: "ephemeral",
-        text: `⏳ 뉴스를 불러오는 중입니다...\n처음 로딩이라 시간이 조금 걸릴 수 있습니다. 잠시만 기다려주세요 ☀️`,
-      });
+/**
+ * 피드 목록 페이지 나누기
+ * @param {Array} feeds - 피드 레지스트리 항목
+ * @param {number} page - 페이지 번호 (0부터 시작)
+ * @returns {{pageFeeds: Array, currentPage: number, totalPages: number}} 페이지 정보
+ */
+function paginateFeeds(feeds, page) {
+  const totalPages = Math.max(1, Math.ceil(feeds.length / FEEDS_PER_PAGE));
+  const currentPage = Math.min(Math.max(0, page || 0), totalPages - 1);
+  return {
+    pageFeeds: feeds.slice(
+      currentPage * FEEDS_PER_PAGE,
+      (currentPage + 1) * FEEDS_PER_PAGE
+    ),
+    currentPage,
+    totalPages,
+  };
+}
 
-      // 비동기로 RSS 파싱 시작하고 완료되면 새로운 메시지 전송
-      fetchAllNews()
-        .then(async (allNews) => {
-          if (allNews.length === 0) {
-            await respond({
-              response_type: "ephemeral",
-              text: "😭 뉴스를 불러오는 데 실패했습니다. 잠시 후 다시 시도해주세요.",
-            });
-            return;
-          }
+/**
+ * 이전/다음 페이지 버튼이 담긴 actions 블록 (한 페이지뿐이면 빈 배열)
+ * @param {number} currentPage - 현재 페이지
+ * @param {number} totalPages - 전체 페이지 수
+ * @param {string} actionPrefix - 버튼 action_id 접두사 (_prev / _next가 붙음)
+ * @returns {Array} Slack message blocks
+ */
+function createPageNavigationBlocks(currentPage, totalPages, actionPrefix) {
+  const navigation = [];
+  if (currentPage > 0) {
+    navigation.push({
+      type: "button",
+      text: {type: "plain_text", text: "⬅️ 이전", emoji: true},
+      value: String(currentPage - 1),
+      action_id: `${actionPrefix}_prev`,
+    });
+  }
+  if (currentPage < totalPages - 1) {
+    navigation.push({
+      type: "button",
+      text: {type: "plain_text", text: "다음 ➡️", emoji: true},
+      value: String(currentPage + 1),
+      action_id: `${actionPrefix}_next`,
+    });
+  }
+  return navigation.length > 0 ? [{type: "actions", elements: navigation}] : [];
+}
 
-          // 새로운 세션 생성
-          const sessionId = createSession(allNews, "news");
+/**
+ * 피드 목록 블록 생성 함수
+ * @param {number} page - 페이지 번호 (0부터 시작)
+ * @returns {Array} Slack message blocks
+ */
+function createFeedListBlocks(page = 0) {
+  const feeds = feedRegistry.getFeeds();
+  const activeCount = feeds.filter((feed) => feed.enabled !== false).length;
+  const {pageFeeds, currentPage, totalPages} = paginateFeeds(feeds, page);
 
-          const newsItems = allNews.slice(0, 5);
-          const messageBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
+  const blocks = [
+    {
+      type: "header",
+      text: {type: "plain_text", text: "📚 등록된 RSS 피드", emoji: true},
+    },
+    {type: "divider"},
+  ];
 
-          const duration = Date.now() - startTime;
-          console.log(`📊 /뉴스 명령어 처리 완료 (처리시간: ${duration}ms)`);
+  if (feeds.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {type: "mrkdwn", text: "등록된 피드가 없습니다."},
+    });
+  }
 
-          await respond({
-            response_type: "in_channel",
-            text: "✅ 최신 테크 뉴스를 불러왔습니다!",
-            blocks: messageBlocks,
-          });
-        })
-        .catch(async (error) => {
-          const duration = Date.now() - startTime;
-          console.error(
-            `❌ /뉴스 백그라운드 처리 중 오류 발생 (처리시간: ${duration}ms):`,
-            error
-          );
-          await respond({
-            response_type: "ephemeral",
-            text: "😭 오류가 발생하여 뉴스를 가져올 수 없습니다.",
-          });
-        });
+  pageFeeds.forEach((feed) => {
+    const enabled = feed.enabled !== false;
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${feed.name}* ${enabled ? "🟢 활성" : "⚪ 비활성"}${
+          feed.folder ? ` · 📁 ${feed.folder}` : ""
+        }\n${feed.url}`,
+      },
+      accessory: {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: enabled ? "비활성화" : "활성화",
+          emoji: true,
+        },
+        // 변경 후 같은 페이지를 다시 보여주기 위해 페이지 번호를 함께 담음
+        value: JSON.stringify({url: feed.url, page: currentPage}),
+        action_id: enabled ? "disable_feed" : "enable_feed",
+      },
+    });
+  });
 
-      return; // 백그라운드 처리로 전환했으므로 여기서 종료
+  blocks.push(
+    {type: "divider"},
+    ...createPageNavigationBlocks(currentPage, totalPages, "feed_list_page"),
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `💡 활성 ${activeCount}개 / 전체 ${feeds.length}개 · 📄 ${
+            currentPage + 1
+          } / ${totalPages} 페이지 · \`/피드추가 <이름> <URL>\`, \`/피드삭제 <이름|URL>\``,
+        },
+      ],
     }
+  );
 
-    // 캐시가 있는 경우 일반 처리
-    const allNews = await fetchAllNews();
+  return blocks;
+}
 
-    if (allNews.length === 0) {
-      await respond({
-        response_type: "ephemeral",
-        text: "😭 뉴스를 불러오는 데 실패했습니다. 잠시 후 다시 시도해주세요.",
-      });
-      return;
-    }
+// 피드 추가 커맨드 - 사용법: /피드추가 <이름> <URL>
+app.command("/피드추가", async ({ack, respond, command, context}) => {
+  await ack();
 
-    // 새로운 세션 생성
-    const sessionId = createSession(allNews, "news");
+  const tokens = command.text.trim().split(/\s+/).filter(Boolean);
+  const url = tokens.pop();
+  const name = tokens.join(" ");
 
-    const newsItems = allNews.slice(0, 5);
-    const messageBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
+  if (!name || !url) {
+    await respond({
+      response_type: "ephemeral",
+      text: "📚 사용법: `/피드추가 <이름> <URL>`\n예: `/피드추가 Toss Tech https://toss.tech/rss.xml`",
+    });
+    return;
+  }
 
-    const duration = Date.now() - startTime;
-    console.log(`📊 /뉴스 명령어 처리 완료 (처리시간: ${duration}ms)`);
+  await respond({
+    response_type: "ephemeral",
+    text: `⏳ *${name}* 피드를 검증하는 중입니다... (${url})`,
+  });
+
+  try {
+    const {feed, itemCount} = await registerFeed(name, url, command.user_id, {
+      correlationId: context.correlationId,
+    });
 
     await respond({
       response_type: "in_channel",
-      text: "최신 테크 뉴스입니다!",
-      blocks: messageBlocks,
+      text: `➕ <@${command.user_id}>님이 *${feed.name}* 피드를 추가했습니다. (아이템 ${itemCount}개 확인)\n${feed.url}\n다음 캐시 갱신부터 뉴스에 포함됩니다.`,
     });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error(
-      `❌ /뉴스 명령어 처리 중 오류 발생 (처리시간: ${duration}ms):`,
-      error
-    );
+    context.log.error(`❌ 피드 추가 실패 (${name}):`, {error: error.message});
+    metrics.recordHandlerError();
     await respond({
       response_type: "ephemeral",
-      text: "😭 오류가 발생하여 뉴스를 가져올 수 없습니다.",
+      text: `😭 피드를 추가할 수 없습니다: ${error.message}`,
     });
   }
 });
 
-app.event("app_mention", async ({event, client}) => {
-  const startTime = Date.now();
+// 피드 삭제 커맨드 - 사용법: /피드삭제 <이름|URL>
+app.command("/피드삭제", async ({ack, respond, command}) => {
+  await ack();
 
-  try {
-    console.log(
-      `🏷️ 봇 멘션 이벤트: 채널 ${event.channel}, 사용자 ${event.user}`
-    );
+  const target = command.text.trim();
+  if (!target) {
+    await respond({
+      response_type: "ephemeral",
+      text: "📚 사용법: `/피드삭제 <이름|URL>`",
+    });
+    return;
+  }
 
-    const mentionText = event.text.toLowerCase();
+  const feed = feedRegistry.removeFeed(target);
+  if (!feed) {
+    await respond({
+      response_type: "ephemeral",
+      text: `😭 "${target}" 피드를 찾을 수 없습니다. \`/피드목록\`으로 확인해주세요.`,
+    });
+    return;
+  }
 
-    let responseBlocks;
-    let responseText;
+  invalidateFeed(feed);
+  feedHealth.resetFeedHealth(feed.name);
 
-    if (mentionText.includes("뉴스") || mentionText.includes("news")) {
-      // 캐시 상태 확인
-      const cacheStatus = getCacheStatus();
+  await respond({
+    response_type: "in_channel",
+    text: `➖ <@${command.user_id}>님이 *${feed.name}* 피드를 삭제했습니다.`,
+  });
+});
 
-      if (isLoadingNews()) {
-        const status = getCacheStatus();
-        responseText = `⏳ 뉴스 데이터를 불러오는 중입니다... (경과 시간: ${status.loadingTime}초)\n잠시만 기다려주세요. ☀️`;
+// 피드 목록 커맨드
+app.command("/피드목록", async ({ack, respond}) => {
+  await ack();
+
+  await respond({
+    response_type: "ephemeral",
+    text: "등록된 RSS 피드 목록",
+    blocks: createFeedListBlocks(),
+  });
+});
+
+// OPML 가져오기 미리보기 (모달 view ID별, 확인하거나 닫을 때까지 보관)
+const opmlImportPreviews = new Map();
+
+// 미리보기 목록 섹션 최대 길이 (section 텍스트는 3000자 제한)
+const OPML_PREVIEW_TEXT_LIMIT = 2800;
+
+/**
+ * OPML 가져오기 모달 (파일 업로드 또는 붙여넣기)
+ * @param {string} channelId - 결과를 알릴 채널
+ * @returns {Object} Slack modal view
+ */
+function createOpmlImportView(channelId) {
+  return {
+    type: "modal",
+    callback_id: "opml_import",
+    private_metadata: JSON.stringify({channelId}),
+    title: {type: "plain_text", text: "OPML 가져오기"},
+    submit: {type: "plain_text", text: "미리보기"},
+    close: {type: "plain_text", text: "취소"},
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "RSS 리더(Feedly 등)에서 내보낸 OPML 파일을 올리거나 내용을 붙여넣으세요.\n추가하기 전에 새 피드, 중복 피드, 파싱할 수 없는 피드를 먼저 보여드립니다.",
+        },
+      },
+      {
+        type: "input",
+        block_id: "opml_file",
+        optional: true,
+        label: {type: "plain_text", text: "📎 OPML 파일"},
+        element: {
+          type: "file_input",
+          action_id: "value",
+          filetypes: ["opml", "xml"],
+          max_files: 1,
+        },
+      },
+      {
+        type: "input",
+        block_id: "opml_text",
+        optional: true,
+        label: {type: "plain_text", text: "📋 OPML 붙여넣기"},
+        // plain_text_input은 최대 3000자라 실제 내보내기 파일은 대부분 넘음
+        hint: {
+          type: "plain_text",
+          text: "붙여넣기는 3000자(피드 약 20개)까지만 됩니다. 피드가 더 많으면 위의 파일 올리기를 사용하세요.",
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "value",
+          multiline: true,
+          max_length: 3000,
+          placeholder: {
+            type: "plain_text",
+            text: '<opml version="2.0">...</opml>',
+          },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * 안내만 표시하는 모달 (로딩, 오류, 완료)
+ * @param {string} text - 안내 문구 (mrkdwn)
+ * @returns {Object} Slack modal view
+ */
+function createOpmlMessageView(text) {
+  return {
+    type: "modal",
+    title: {type: "plain_text", text: "OPML 가져오기"},
+    close: {type: "plain_text", text: "닫기"},
+    blocks: [{type: "section", text: {type: "mrkdwn", text}}],
+  };
+}
+
+/**
+ * 미리보기 목록 텍스트 (길면 "외 N개"로 줄임)
+ * @param {string} title - 목록 제목
+ * @param {Array} entries - 피드 목록
+ * @param {Function} formatEntry - 피드 한 줄 포맷 함수
+ * @returns {string} mrkdwn 텍스트
+ */
+function formatOpmlPreviewList(title, entries, formatEntry) {
+  let text = `*${title} (${entries.length}개)*`;
+  for (let i = 0; i < entries.length; i++) {
+    const line = `\n• ${formatEntry(entries[i])}`;
+    if (text.length + line.length > OPML_PREVIEW_TEXT_LIMIT) {
+      return `${text}\n… 외 ${entries.length - i}개`;
+    }
+    text += line;
+  }
+  return text;
+}
+
+/**
+ * OPML 가져오기 미리보기 모달
+ * @param {Object} preview - previewFeedImport 결과
+ * @param {string} channelId - 결과를 알릴 채널
+ * @returns {Object} Slack modal view
+ */
+function createOpmlPreviewView(preview, channelId) {
+  const {toAdd, duplicates, rejected} = preview;
+  const describe = (entry) =>
+    `*${escapeMrkdwn(entry.name || "(이름 없음)")}* ${entry.url || ""}`;
+  const blocks = [];
+
+  if (toAdd.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatOpmlPreviewList("✅ 추가할 피드", toAdd, (entry) => {
+          const folder = entry.folder ? ` · 📁 ${entry.folder}` : "";
+          return `${describe(entry)}${folder} (아이템 ${entry.itemCount}개)`;
+        }),
+      },
+    });
+  }
+  if (duplicates.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatOpmlPreviewList(
+          "⏭️ 중복으로 건너뛸 피드",
+          duplicates,
+          (entry) => `${describe(entry)} - ${entry.reason}`
+        ),
+      },
+    });
+  }
+  if (rejected.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatOpmlPreviewList(
+          "⛔ 파싱할 수 없는 피드",
+          rejected,
+          (entry) => `${describe(entry)} - ${escapeMrkdwn(entry.reason)}`
+        ),
+      },
+    });
+  }
+
+  const view = {
+    type: "modal",
+    callback_id: "opml_import_confirm",
+    private_metadata: JSON.stringify({channelId}),
+    notify_on_close: true,
+    title: {type: "plain_text", text: "OPML 가져오기"},
+    close: {type: "plain_text", text: "취소"},
+    blocks,
+  };
+  if (toAdd.length > 0) {
+    view.submit = {type: "plain_text", text: `${toAdd.length}개 추가`};
+  } else {
+    blocks.push({
+      type: "context",
+      elements: [{type: "mrkdwn", text: "추가할 새 피드가 없습니다."}],
+    });
+  }
+
+  return view;
+}
+
+/**
+ * 모달 입력에서 OPML 텍스트 읽기 (파일이 있으면 파일 우선)
+ * @param {Object} client - Slack Web API 클라이언트
+ * @param {Object} values - view.state.values
+ * @returns {Promise<string>} OPML 텍스트
+ */
+async function readOpmlInput(client, values) {
+  const [file] = values.opml_file.value.files || [];
+  if (!file) {
+    return values.opml_text.value.value || "";
+  }
+
+  // 업로드한 파일은 봇 토큰으로 다운로드 (files:read 권한 필요)
+  const {file: info} = await client.files.info({file: file.id});
+  const response = await axios.get(info.url_private_download, {
+    headers: {Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}`},
+    responseType: "text",
+    timeout: 10000,
+  });
+  return response.data;
+}
+
+// OPML 가져오기 커맨드 - 모달로 파일 업로드 또는 붙여넣기
+app.command("/피드가져오기", async ({ack, respond, command, client, context}) => {
+  await ack();
+
+  try {
+    await client.views.open({
+      trigger_id: command.trigger_id,
+      view: createOpmlImportView(command.channel_id),
+    });
+  } catch (error) {
+    context.log.error("❌ OPML 가져오기 모달 열기 실패:", {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      text: "😭 가져오기 화면을 열 수 없습니다. 잠시 후 다시 시도해주세요.",
+    });
+  }
+});
+
+app.view("opml_import", async ({ack, body, view, client, context}) => {
+  const values = view.state.values;
+  const hasFile = (values.opml_file.value.files || []).length > 0;
+  const pastedText = values.opml_text.value.value || "";
+
+  if (!hasFile && !pastedText.trim()) {
+    await ack({
+      response_action: "errors",
+      errors: {opml_text: "OPML 파일을 올리거나 내용을 붙여넣어 주세요."},
+    });
+    return;
+  }
+
+  // 붙여넣은 내용은 바로 검사해 입력 칸에 오류 표시
+  if (!hasFile) {
+    try {
+      parseOpml(pastedText);
+    } catch (error) {
+      await ack({
+        response_action: "errors",
+        errors: {opml_text: error.message},
+      });
+      return;
+    }
+  }
+
+  // 피드 검증은 3초를 넘을 수 있으므로 로딩 화면으로 먼저 응답
+  await ack({
+    response_action: "update",
+    view: createOpmlMessageView(
+      "⏳ 피드를 하나씩 파싱해 확인하는 중입니다... 잠시만 기다려주세요."
+    ),
+  });
+
+  const {channelId} = JSON.parse(view.private_metadata || "{}");
+  let resultView;
+  try {
+    const entries = parseOpml(await readOpmlInput(client, values));
+    const preview = await previewFeedImport(entries, {
+      correlationId: context.correlationId,
+    });
+    opmlImportPreviews.set(view.id, preview);
+    resultView = createOpmlPreviewView(preview, channelId);
+  } catch (error) {
+    context.log.error("❌ OPML 미리보기 실패:", {error: error.message});
+    metrics.recordHandlerError();
+    resultView = createOpmlMessageView(
+      `😭 OPML을 읽을 수 없습니다: ${escapeMrkdwn(error.message)}`
+    );
+  }
+
+  try {
+    await client.views.update({view_id: view.id, view: resultView});
+  } catch (error) {
+    context.log.error(`❌ OPML 미리보기 표시 실패 (${body.user.id}):`, {error});
+    metrics.recordHandlerError();
+  }
+});
+
+app.view("opml_import_confirm", async ({ack, body, view, client, context}) => {
+  const preview = opmlImportPreviews.get(view.id);
+  opmlImportPreviews.delete(view.id);
+
+  if (!preview) {
+    await ack({
+      response_action: "update",
+      view: createOpmlMessageView(
+        "😭 미리보기가 만료되었습니다. `/피드가져오기`로 다시 시도해주세요."
+      ),
+    });
+    return;
+  }
+
+  const {added, skipped} = applyFeedImport(preview, body.user.id);
+  const skippedText =
+    skipped.length > 0 ? `\n⏭️ 그 사이 등록되어 건너뜀: ${skipped.length}개` : "";
+
+  await ack({
+    response_action: "update",
+    view: createOpmlMessageView(
+      `✅ 피드 ${added.length}개를 추가했습니다. 다음 캐시 갱신부터 뉴스에 포함됩니다.${skippedText}`
+    ),
+  });
+
+  // 채널에 가져오기 결과 공유 (/피드추가와 같은 방식)
+  const {channelId} = JSON.parse(view.private_metadata || "{}");
+  if (channelId && added.length > 0) {
+    try {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `📥 <@${body.user.id}>님이 OPML에서 피드 ${
+          added.length
+        }개를 가져왔습니다: ${added.map((feed) => feed.name).join(", ")}`,
+      });
+    } catch (error) {
+      context.log.warn(`⚠️ OPML 가져오기 결과 공유 실패: ${error.message}`);
+    }
+  }
+});
+
+// 미리보기 모달을 닫으면 보관한 미리보기 삭제
+app.view(
+  {callback_id: "opml_import_confirm", type: "view_closed"},
+  async ({ack, view}) => {
+    await ack();
+    opmlImportPreviews.delete(view.id);
+  }
+);
+
+// OPML 내보내기 커맨드 - 활성 피드 목록을 OPML 파일로 DM 전송
+app.command("/피드내보내기", async ({ack, respond, command, client, context}) => {
+  await ack();
+
+  try {
+    const feeds = feedRegistry.getActiveFeeds();
+    const {channel} = await client.conversations.open({
+      users: command.user_id,
+    });
+    const date = new Date().toISOString().slice(0, 10);
+
+    await client.files.uploadV2({
+      channel_id: channel.id,
+      filename: `daily-geek-news-feeds-${date}.opml`,
+      title: `피드 목록 (${date})`,
+      content: buildOpml(feeds),
+      initial_comment: `📄 활성 피드 ${feeds.length}개를 OPML로 내보냈습니다.`,
+    });
+
+    await respond({
+      response_type: "ephemeral",
+      text: "📄 DM으로 OPML 파일을 보냈습니다.",
+    });
+  } catch (error) {
+    context.log.error("❌ OPML 내보내기 중 오류:", {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      text: "😭 내보내기에 실패했습니다.",
+    });
+  }
+});
+
+/**
+ * 상대 시간 표시 함수
+ * @param {string} isoString - ISO 형식 시각
+ * @returns {string} "3분 전" 형식의 문자열
+ */
+function formatRelativeTime(isoString) {
+  if (!isoString) return "없음";
+
+  const seconds = Math.floor((Date.now() - new Date(isoString)) / 1000);
+  if (seconds < 60) return "방금 전";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}분 전`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}시간 전`;
+  return `${Math.floor(seconds / 86400)}일 전`;
+}
+
+/**
+ * 피드 상태 아이콘
+ * @param {Object} feed - 피드 레지스트리 항목
+ * @param {Object|null} health - feedHealth.getFeedHealth 결과
+ * @returns {string} 상태 아이콘
+ */
+function getFeedStatusIcon(feed, health) {
+  if (feed.enabled === false) return "⚪";
+  if (!health) return "❔";
+  if (health.circuitRemainingMs > 0) return "🔴";
+  if (health.consecutiveFailures > 0) return "🟡";
+  return "🟢";
+}
+
+/**
+ * 피드 상태 블록 생성 함수
+ * @param {number} page - 페이지 번호 (0부터 시작)
+ * @returns {Array} Slack message blocks
+ */
+function createFeedHealthBlocks(page = 0) {
+  const cacheStatus = getCacheStatus();
+  const {pageFeeds, currentPage, totalPages} = paginateFeeds(
+    feedRegistry.getFeeds(),
+    page
+  );
+  const blocks = [
+    {
+      type: "header",
+      text: {type: "plain_text", text: "🩺 피드 상태", emoji: true},
+    },
+    {type: "divider"},
+  ];
+
+  pageFeeds.forEach((feed) => {
+    const health = feedHealth.getFeedHealth(feed.name);
+    const cachedCount = cacheStatus.feeds[feed.name] || 0;
+    const statusIcon = getFeedStatusIcon(feed, health);
+
+    const lines = [`*${statusIcon} ${feed.name}* · 캐시 ${cachedCount}개`];
+
+    if (feed.enabled === false) {
+      lines.push("비활성화된 피드");
+    } else if (!health) {
+      lines.push("아직 수집 기록이 없습니다.");
+    } else {
+      const recentSuccesses = health.history.filter((h) => h.ok).length;
+      const successRate = health.history.length
+        ? Math.round((recentSuccesses / health.history.length) * 100)
+        : 0;
+
+      lines.push(
+        `최근 성공: ${formatRelativeTime(health.lastSuccessAt)} · ` +
+          `평균 응답: ${
+            health.avgLatencyMs !== null ? `${health.avgLatencyMs}ms` : "-"
+          } · ` +
+          `성공률: ${successRate}% (최근 ${health.history.length}회)`
+      );
+
+      if (health.lastErrorType) {
+        lines.push(
+          `최근 오류: ${FEED_ERROR_LABELS[health.lastErrorType] ||
+            health.lastErrorType} (${formatRelativeTime(
+            health.lastFailureAt
+          )}) · 연속 실패: ${health.consecutiveFailures}회`
+        );
+      }
+
+      if (health.circuitRemainingMs > 0) {
+        lines.push(
+          `⛔ 서킷 오픈 - ${Math.ceil(
+            health.circuitRemainingMs / 60000
+          )}분 후 다시 시도`
+        );
+      }
+    }
+
+    blocks.push({
+      type: "section",
+      text: {type: "mrkdwn", text: lines.join("\n")},
+    });
+  });
+
+  blocks.push(
+    {type: "divider"},
+    ...createPageNavigationBlocks(currentPage, totalPages, "feed_health_page"),
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `📄 ${currentPage + 1} / ${totalPages} 페이지 · 💡 연속 ${
+            feedHealth.FAILURE_THRESHOLD
+          }회 실패한 피드는 ${Math.round(
+            feedHealth.COOLDOWN_MS / 60000
+          )}분 동안 수집을 건너뜁니다.`,
+        },
+      ],
+    }
+  );
+
+  return blocks;
+}
+
+// 피드 상태 커맨드
+app.command("/피드상태", async ({ack, respond}) => {
+  await ack();
+
+  await respond({
+    response_type: "ephemeral",
+    text: "피드 상태",
+    blocks: createFeedHealthBlocks(),
+  });
+});
+
+// 피드 상태 페이지 이동 버튼
+async function showFeedHealthPage({action, ack, respond, context}) {
+  await ack();
+
+  try {
+    await respond({
+      replace_original: true,
+      text: "피드 상태",
+      blocks: createFeedHealthBlocks(parseInt(action.value, 10)),
+    });
+  } catch (error) {
+    context.log.error("❌ 피드 상태 페이지 이동 중 오류:", {error});
+    metrics.recordHandlerError();
+  }
+}
+app.action("feed_health_page_prev", showFeedHealthPage);
+app.action("feed_health_page_next", showFeedHealthPage);
+
+/**
+ * 피드 활성화/비활성화 버튼 값 해석 (예전 버튼은 URL만 담고 있음)
+ * @param {string} value - 버튼 값
+ * @returns {{url: string, page: number}} 피드 URL과 목록 페이지
+ */
+function parseFeedButtonValue(value) {
+  try {
+    const {url, page = 0} = JSON.parse(value);
+    return {url, page};
+  } catch {
+    return {url: value, page: 0};
+  }
+}
+
+/**
+ * 피드 활성화/비활성화 버튼 처리 함수
+ * @param {boolean} enabled - 변경할 활성화 상태
+ * @returns {Function} Bolt action 핸들러
+ */
+function handleFeedToggle(enabled) {
+  return async ({action, ack, respond, context}) => {
+    await ack();
+
+    try {
+      const {url, page} = parseFeedButtonValue(action.value);
+      const feed = feedRegistry.setFeedEnabled(url, enabled);
+
+      if (!feed) {
+        await respond({
+          response_type: "ephemeral",
+          text: "😭 피드를 찾을 수 없습니다. 이미 삭제되었을 수 있습니다.",
+        });
+        return;
+      }
+
+      if (!enabled) {
+        invalidateFeed(feed);
+      }
+
+      await respond({
+        replace_original: true,
+        text: "등록된 RSS 피드 목록",
+        blocks: createFeedListBlocks(page),
+      });
+    } catch (error) {
+      context.log.error(`❌ 피드 상태 변경 중 오류:`, {error});
+      metrics.recordHandlerError();
+      await respond({
+        response_type: "ephemeral",
+        text: "😭 오류가 발생했습니다.",
+      });
+    }
+  };
+}
+
+app.action("enable_feed", handleFeedToggle(true));
+app.action("disable_feed", handleFeedToggle(false));
+
+// 피드 목록 페이지 이동 버튼
+async function showFeedListPage({action, ack, respond, context}) {
+  await ack();
+
+  try {
+    await respond({
+      replace_original: true,
+      text: "등록된 RSS 피드 목록",
+      blocks: createFeedListBlocks(parseInt(action.value, 10)),
+    });
+  } catch (error) {
+    context.log.error("❌ 피드 목록 페이지 이동 중 오류:", {error});
+    metrics.recordHandlerError();
+  }
+}
+app.action("feed_list_page_prev", showFeedListPage);
+app.action("feed_list_page_next", showFeedListPage);
+
+// 키워드 구독 커맨드 - 사용법: /구독 <키워드>
+app.command("/구독", async ({ack, respond, command}) => {
+  await ack();
+
+  const keyword = command.text.trim();
+  if (!keyword) {
+    await respond({
+      response_type: "ephemeral",
+      text: "🔔 사용법: `/구독 <키워드>`\n예: `/구독 Kubernetes`, `/구독 LLM`, `/구독 토스`",
+    });
+    return;
+  }
+
+  try {
+    const added = subscriptions.subscribe(command.user_id, keyword);
+    await respond({
+      response_type: "ephemeral",
+      text: added
+        ? `🔔 "${keyword}" 키워드를 구독했습니다. 새로 수집된 글 중 제목이나 요약에 키워드가 포함되면 DM으로 알려드립니다.`
+        : `ℹ️ 이미 "${keyword}" 키워드를 구독 중입니다.`,
+    });
+  } catch (error) {
+    await respond({
+      response_type: "ephemeral",
+      text: `😭 ${error.message}`,
+    });
+  }
+});
+
+// 키워드 구독 해제 커맨드 - 사용법: /구독해제 <키워드>
+app.command("/구독해제", async ({ack, respond, command}) => {
+  await ack();
+
+  const keyword = command.text.trim();
+  if (!keyword) {
+    await respond({
+      response_type: "ephemeral",
+      text: "🔕 사용법: `/구독해제 <키워드>` (구독 중인 키워드는 `/구독목록`으로 확인)",
+    });
+    return;
+  }
+
+  const removed = subscriptions.unsubscribe(command.user_id, keyword);
+  await respond({
+    response_type: "ephemeral",
+    text: removed
+      ? `🔕 "${keyword}" 키워드 구독을 해제했습니다.`
+      : `😭 "${keyword}" 키워드를 구독하고 있지 않습니다.`,
+  });
+});
+
+// 구독 목록 커맨드
+app.command("/구독목록", async ({ack, respond, command}) => {
+  await ack();
+
+  const keywords = subscriptions.getKeywords(command.user_id);
+  await respond({
+    response_type: "ephemeral",
+    text:
+      keywords.length > 0
+        ? `🔔 구독 중인 키워드 (${keywords.length}/${
+            subscriptions.MAX_KEYWORDS
+          }개): ${keywords.map((k) => `\`${k}\``).join(", ")}`
+        : "🔔 구독 중인 키워드가 없습니다. `/구독 <키워드>`로 추가해보세요.",
+  });
+});
+
+/**
+ * 구독 키워드 알림 DM 전송 함수 (캐시 갱신 시 호출)
+ * @param {Array} allNews - 새로 수집된 뉴스 목록
+ */
+async function sendSubscriptionAlerts(allNews) {
+  const results = subscriptions.findNewMatches(allNews);
+
+  for (const {userId, matches} of results) {
+    const shown = matches.slice(0, 10);
+    const keywords = [...new Set(matches.flatMap((m) => m.keywords))];
+
+    const blocks = [
+      {
+        type: "header",
+        text: {type: "plain_text", text: "🔔 구독 키워드 알림", emoji: true},
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `${keywords
+              .map((k) => `\`${k}\``)
+              .join(", ")} 키워드와 일치하는 새 글 ${matches.length}개`,
+          },
+        ],
+      },
+      {type: "divider"},
+    ];
+
+    shown.forEach(({item}) => {
+      blocks.push(...formatNewsItem(item));
+    });
+
+    if (matches.length > shown.length) {
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `외 ${matches.length - shown.length}개는 \`/뉴스검색\`으로 확인해주세요.`,
+          },
+        ],
+      });
+    }
+
+    try {
+      await app.client.chat.postMessage({
+        token: process.env.SLACK_BOT_TOKEN,
+        channel: userId,
+        text: `🔔 구독 키워드와 일치하는 새 글 ${matches.length}개`,
+        blocks,
+        unfurl_links: false,
+        unfurl_media: false,
+      });
+
+      // 목록에서 생략된 글도 개수로 안내했으므로 함께 알림 완료로 기록
+      subscriptions.markNotified(userId, matches.map((m) => m.item));
+      logger.info(`🔔 구독 알림 전송: ${userId} (${matches.length}개)`);
+    } catch (error) {
+      logger.error(`❌ 구독 알림 전송 실패 (${userId}):`, {error});
+      metrics.recordBackgroundError("subscription_alert");
+    }
+  }
+}
+
+// 주간 트렌드 계산을 위해 수집한 글을 캐시 TTL과 별도로 보관
+// 구독 알림이 처음 수집한 시각을 읽으므로 알림보다 먼저 등록
+onNewsRefreshed(recordArticles);
+
+onNewsRefreshed(sendSubscriptionAlerts);
+
+/**
+ * 주간 트렌드 리포트 블록 생성 함수
+ * @param {Object} trends - computeWeeklyTrends 결과
+ * @returns {Array} Slack message blocks
+ */
+function createTrendReportBlocks(trends) {
+  const formatDate = (date) =>
+    date.toLocaleDateString("ko-KR", {
+      timeZone: DEFAULT_TIMEZONE,
+      month: "numeric",
+      day: "numeric",
+    });
+
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `📈 주간 트렌드 리포트 (${formatDate(trends.from)} - ${formatDate(
+          trends.to
+        )})`,
+        emoji: true,
+      },
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `이번 주 수집한 글 ${trends.articleCount}개 중 지난주(${trends.previousArticleCount}개)보다 많이 언급된 키워드입니다.`,
+      },
+    },
+    {type: "divider"},
+  ];
+
+  if (trends.rising.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "🔍 이번 주에는 눈에 띄게 늘어난 주제가 없습니다.",
+      },
+    });
+  }
+
+  trends.rising.forEach((trend, index) => {
+    const examples = trend.examples
+      .map(
+        (article) =>
+          `• <${article.link}|${cleanNewsTitle(article.title)}> (${
+            article.source
+          })`
+      )
+      .join("\n");
+
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${index + 1}. ${trend.term}* - 글 ${trend.count}개 (지난주 ${
+          trend.previousCount
+        }개)\n${examples}`,
+      },
+    });
+  });
+
+  blocks.push(
+    {type: "divider"},
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "💡 제목과 요약에 나온 단어/구문을 글 단위로 세어 지난주와 비교했습니다.",
+        },
+      ],
+    }
+  );
+
+  return blocks;
+}
+
+/**
+ * 주간 트렌드 리포트 전송 함수
+ * @param {string} channel - 전송할 채널 (기본값: TREND_REPORT_CHANNEL 또는 SLACK_TARGET_CHANNEL)
+ * @returns {Object} 전송 결과
+ */
+async function postTrendReport(
+  channel = process.env.TREND_REPORT_CHANNEL ||
+    process.env.SLACK_TARGET_CHANNEL
+) {
+  const trends = computeWeeklyTrends();
+
+  await app.client.chat.postMessage({
+    token: process.env.SLACK_BOT_TOKEN,
+    channel,
+    text: "📈 주간 트렌드 리포트입니다!",
+    blocks: createTrendReportBlocks(trends),
+    unfurl_links: false,
+    unfurl_media: false,
+  });
+
+  logger.info(
+    `📈 트렌드 리포트 전송: ${channel} (키워드 ${trends.rising.length}개, 글 ${trends.articleCount}개)`
+  );
+
+  return {
+    channel,
+    articleCount: trends.articleCount,
+    terms: trends.rising.map(({term, count, previousCount}) => ({
+      term,
+      count,
+      previousCount,
+    })),
+  };
+}
+
+// 트렌드 리포트 커맨드 - 현재 채널에 이번 주 트렌드 전송
+app.command("/트렌드", async ({ack, respond, command, context}) => {
+  await ack();
+
+  try {
+    await postTrendReport(command.channel_id);
+  } catch (error) {
+    context.log.error("❌ 트렌드 리포트 전송 중 오류:", {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      text: "😭 트렌드 리포트를 만드는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+app.command("/뉴스", async ({ack, respond, command, context}) => {
+  const startTime = Date.now();
+
+  await ack();
+
+  try {
+    // 카테고리 지정 시 해당 카테고리 뉴스만 표시 (예: /뉴스 프론트엔드)
+    const categoryName = command.text.trim();
+    const category = categoryName
+      ? categories.findCategory(categoryName)
+      : null;
+
+    if (categoryName && !category) {
+      const names = categories
+        .getCategories()
+        .map((c) => `\`${c.name}\``)
+        .join(", ");
+      await respond({
+        response_type: "ephemeral",
+        text: `😭 "${categoryName}" 카테고리를 찾을 수 없습니다.\n사용 가능한 카테고리: ${names}`,
+      });
+      return;
+    }
+
+    const preferences = userPreferences.getPreferences(command.user_id);
+    const emptyText = category
+      ? `😭 ${category.name} 카테고리에 해당하는 뉴스가 없습니다.`
+      : "😭 설정에 맞는 뉴스가 없습니다. `/뉴스설정`에서 제외 소스와 언어를 확인해주세요.";
+
+    // 캐시 상태 확인 (디버깅용)
+    const cacheStatus = getCacheStatus();
+    context.log.info(`📊 캐시 상태: ${JSON.stringify(cacheStatus)}`);
+
+    // 이미 로딩 중이고 저장된 캐시도 없는 경우 로딩 메시지 표시
+    if (isLoadingNews() && cacheStatus.staleCached === 0) {
+      const status = getCacheStatus();
+      await respond({
+        response_type: "ephemeral",
+        text: `⏳ 뉴스를 불러오는 중입니다... (경과 시간: ${status.loadingTime}초)\n잠시만 기다려주세요. ☀️`,
+      });
+      return;
+    }
+
+    // 캐시가 비어있고 로딩이 필요한 경우 즉시 로딩 메시지 표시
+    if (cacheStatus.totalCached === 0 && cacheStatus.staleCached === 0) {
+      context.log.info(`⚡ 캐시 없음 - 즉시 로딩 메시지 표시 후 RSS 파싱 시작`);
+
+      await respond({
+        response_type: "ephemeral",
+        text: `⏳ 뉴스를 불러오는 중입니다...\n처음 로딩이라 시간이 조금 걸릴 수 있습니다. 잠시만 기다려주세요 ☀️`,
+      });
+
+      // 비동기로 RSS 파싱 시작하고 완료되면 새로운 메시지 전송
+      fetchAllNews({correlationId: context.correlationId})
+        .then(async (allNews) => {
+          if (allNews.length === 0) {
+            await respond({
+              response_type: "ephemeral",
+              text: "😭 뉴스를 불러오는 데 실패했습니다. 잠시 후 다시 시도해주세요.",
+            });
+            return;
+          }
+
+          const categoryNews = userPreferences.applyPreferences(
+            categories.filterByCategory(allNews, category),
+            preferences
+          );
+          if (categoryNews.length === 0) {
+            await respond({response_type: "ephemeral", text: emptyText});
+            return;
+          }
+
+          // 새로운 세션 생성
+          const sessionId = createSession(categoryNews, "news", {
+            category: category?.name,
+            pageSize: preferences.pageSize,
+          });
+
+          const newsItems = categoryNews.slice(0, preferences.pageSize);
+          const messageBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
+
+          const duration = Date.now() - startTime;
+          context.log.info(
+            `📊 /뉴스 명령어 처리 완료 (처리시간: ${duration}ms)`
+          );
+
+          await respond({
+            response_type: preferences.visibility,
+            text: "✅ 최신 테크 뉴스를 불러왔습니다!",
+            blocks: messageBlocks,
+          });
+        })
+        .catch(async (error) => {
+          const duration = Date.now() - startTime;
+          context.log.error(
+            `❌ /뉴스 백그라운드 처리 중 오류 발생 (처리시간: ${duration}ms):`,
+            {error}
+          );
+          metrics.recordHandlerError();
+          await respond({
+            response_type: "ephemeral",
+            text: "😭 오류가 발생하여 뉴스를 가져올 수 없습니다.",
+          });
+        });
+
+      return; // 백그라운드 처리로 전환했으므로 여기서 종료
+    }
+
+    // 캐시가 있는 경우 일반 처리
+    const allNews = await fetchAllNews({
+      correlationId: context.correlationId,
+    });
+
+    if (allNews.length === 0) {
+      await respond({
+        response_type: "ephemeral",
+        text: "😭 뉴스를 불러오는 데 실패했습니다. 잠시 후 다시 시도해주세요.",
+      });
+      return;
+    }
+
+    const categoryNews = userPreferences.applyPreferences(
+      categories.filterByCategory(allNews, category),
+      preferences
+    );
+    if (categoryNews.length === 0) {
+      await respond({response_type: "ephemeral", text: emptyText});
+      return;
+    }
+
+    // 새로운 세션 생성
+    const sessionId = createSession(categoryNews, "news", {
+      category: category?.name,
+      pageSize: preferences.pageSize,
+    });
+
+    const newsItems = categoryNews.slice(0, preferences.pageSize);
+    const messageBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
+
+    const duration = Date.now() - startTime;
+    context.log.info(`📊 /뉴스 명령어 처리 완료 (처리시간: ${duration}ms)`);
+
+    await respond({
+      response_type: preferences.visibility,
+      text: "최신 테크 뉴스입니다!",
+      blocks: messageBlocks,
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    context.log.error(
+      `❌ /뉴스 명령어 처리 중 오류 발생 (처리시간: ${duration}ms):`,
+      {error}
+    );
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      text: "😭 오류가 발생하여 뉴스를 가져올 수 없습니다.",
+    });
+  }
+});
+
+app.event("app_mention", async ({event, client, context}) => {
+  const startTime = Date.now();
+
+  try {
+    context.log.info(
+      `🏷️ 봇 멘션 이벤트: 채널 ${event.channel}, 사용자 ${event.user}`
+    );
+
+    const mentionText = event.text.toLowerCase();
+
+    let responseBlocks;
+    let responseText;
+
+    if (mentionText.includes("뉴스") || mentionText.includes("news")) {
+      // 캐시 상태 확인
+      const cacheStatus = getCacheStatus();
+
+      if (isLoadingNews() && cacheStatus.staleCached === 0) {
+        const status = getCacheStatus();
+        responseText = `⏳ 뉴스 데이터를 불러오는 중입니다... (경과 시간: ${status.loadingTime}초)\n잠시만 기다려주세요. ☀️`;
+        responseBlocks = [
+          {
+            type: "section",
+            text: {type: "mrkdwn", text: responseText},
+          },
+        ];
+      } else if (
+        cacheStatus.totalCached === 0 &&
+        cacheStatus.staleCached === 0
+      ) {
+        // 캐시가 비어있는 경우 즉시 로딩 메시지 표시
+        context.log.info(
+          `⚡ 멘션: 캐시 없음 - 즉시 로딩 메시지 표시 후 RSS 파싱 시작`
+        );
+
+        responseText = `⏳ 뉴스를 불러오는 중입니다...\n처음 로딩이라 시간이 조금 걸릴 수 있습니다. 잠시만 기다려주세요 ☀️`;
         responseBlocks = [
           {
-            type: "section",
-            text: {type: "mrkdwn", text: responseText},
+            type: "section",
+            text: {type: "mrkdwn", text: responseText},
+          },
+        ];
+
+        // 백그라운드에서 RSS 파싱 후 새로운 메시지 전송
+        fetchAllNews({correlationId: context.correlationId})
+          .then(async (allNews) => {
+            if (allNews.length > 0) {
+              const sessionId = createSession(allNews, "news");
+
+              const newsItems = allNews.slice(0, 5);
+              const newBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
+
+              await client.chat.postMessage({
+                token: process.env.SLACK_BOT_TOKEN,
+                channel: event.channel,
+                text: "✅ 최신 기술 뉴스를 불러왔습니다!",
+                blocks: newBlocks,
+                unfurl_links: false,
+                unfurl_media: false,
+              });
+            } else {
+              await client.chat.postMessage({
+                token: process.env.SLACK_BOT_TOKEN,
+                channel: event.channel,
+                text: "😭 현재 불러올 뉴스가 없습니다.",
+                unfurl_links: false,
+                unfurl_media: false,
+              });
+            }
+          })
+          .catch(async (error) => {
+            context.log.error(`❌ 멘션 백그라운드 처리 중 오류:`, {error});
+            metrics.recordHandlerError();
+            await client.chat.postMessage({
+              token: process.env.SLACK_BOT_TOKEN,
+              channel: event.channel,
+              text: "😭 오류가 발생하여 뉴스를 가져올 수 없습니다.",
+              unfurl_links: false,
+              unfurl_media: false,
+            });
+          });
+      } else {
+        // 캐시가 있는 경우 일반 처리
+        const allNews = await fetchAllNews({
+          correlationId: context.correlationId,
+        });
+
+        if (allNews.length > 0) {
+          const sessionId = createSession(allNews, "news");
+
+          const newsItems = allNews.slice(0, 5);
+          responseText = "📰 최신 기술 뉴스를 가져왔습니다!";
+          responseBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
+        } else {
+          responseText = "😭 현재 불러올 뉴스가 없습니다.";
+          responseBlocks = [
+            {
+              type: "section",
+              text: {type: "mrkdwn", text: responseText},
+            },
+          ];
+        }
+      }
+    } else if (mentionText.includes("도움") || mentionText.includes("help")) {
+      responseText = "🤖 Daily Geek News Bot 사용법";
+      responseBlocks = [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text:
+              "*🤖 Daily Geek News Bot 사용법*\n\n" +
+              "• `/뉴스 [카테고리]` - 최신 기술 뉴스 조회 (예: `/뉴스 프론트엔드`)\n" +
+              "• `/뉴스검색 <검색어>` - 뉴스 검색 (`source:`, `since:`, `\"구문\"`, `-제외`, `OR` 지원)\n" +
+              "• `/피드목록` - 등록된 RSS 피드 확인 및 활성화/비활성화\n" +
+              "• `/피드추가 <이름> <URL>` / `/피드삭제 <이름|URL>` - 피드 관리\n" +
+              "• `/피드가져오기` / `/피드내보내기` - OPML로 피드 목록 가져오기/내보내기\n" +
+              "• `/피드상태` - 피드별 수집 성공/실패 기록과 서킷 상태\n" +
+              "• `/구독 <키워드>` / `/구독해제 <키워드>` / `/구독목록` - 키워드 DM 알림\n" +
+              "• `/트렌드` - 이번 주 지난주보다 많이 언급된 키워드 리포트\n" +
+              "• `/북마크 [내보내기]` - `🔖 저장`한 글 목록 (읽음 표시, 삭제, Markdown 내보내기)\n" +
+              "• `/뉴스설정` - 선호/제외 소스, 페이지 크기, 언어, 공개 범위 설정\n" +
+              "• `@봇이름 뉴스` - 멘션으로 뉴스 요청\n" +
+              "• `@봇이름 도움` - 사용법 안내",
+          },
+        },
+        {type: "divider"},
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text:
+              "*📊 뉴스 소스*\n" +
+              feedRegistry
+                .getActiveFeeds()
+                .map((feed) => feed.name)
+                .join(", "),
+          },
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: "매주 월~금 오전 9시에 자동으로 뉴스를 전송합니다 ⏰",
+            },
+          ],
+        },
+      ];
+    } else {
+      // 일반 멘션 - 기본 인사 메시지
+      responseText = "👋 안녕하세요! Daily Geek News Bot입니다.";
+      responseBlocks = [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text:
+              "*👋 안녕하세요! Daily Geek News Bot입니다.*\n\n" +
+              "최신 기술 뉴스를 전달해드립니다! 🚀\n\n" +
+              "`@봇이름 도움말`을 입력하시면 사용법을 안내해드릴게요.",
+          },
+        },
+      ];
+    }
+
+    await client.chat.postMessage({
+      token: process.env.SLACK_BOT_TOKEN,
+      channel: event.channel,
+      text: responseText,
+      blocks: responseBlocks,
+      unfurl_links: false,
+      unfurl_media: false,
+    });
+
+    const duration = Date.now() - startTime;
+    context.log.info(`✅ 봇 멘션 응답 완료 (처리시간: ${duration}ms)`);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    context.log.error(
+      `❌ 봇 멘션 처리 중 오류 발생 (처리시간: ${duration}ms):`,
+      {error}
+    );
+    metrics.recordHandlerError();
+
+    try {
+      await client.chat.postMessage({
+        token: process.env.SLACK_BOT_TOKEN,
+        channel: event.channel,
+        text: "😭 죄송합니다. 요청을 처리하는 중 오류가 발생했습니다.",
+        unfurl_links: false,
+        unfurl_media: false,
+      });
+    } catch (fallbackError) {
+      context.log.error(`❌ 폴백 메시지 전송 실패:`, {error: fallbackError});
+    }
+  }
+});
+
+app.action("load_older_news", async ({action, ack, respond, context}) => {
+  await ack();
+
+  context.log.info(`🔧 [load_older_news] 버튼 클릭됨, value: ${action.value}`);
+
+  try {
+    // value 형식: sessionId_offset
+    const parts = action.value.split("_");
+    const offset = parseInt(parts[parts.length - 1], 10);
+    const sessionId = parts.slice(0, -1).join("_");
+
+    // 세션 가져오기
+    let session = getSession(sessionId);
+
+    // 세션이 없으면 오류 메시지 표시
+    if (!session) {
+      await respond({
+        replace_original: true,
+        text: "❌ 세션이 만료되었습니다. 다시 검색하거나 뉴스를 불러와주세요.",
+      });
+    } else {
+      const newsItems = session.items.slice(
+        offset,
+        offset + getSessionPageSize(session)
+      );
+
+      if (newsItems.length === 0) {
+        await respond({
+          response_type: "ephemeral",
+          text: "📰 더 이상 표시할 뉴스가 없습니다.",
+        });
+        return;
+      }
+
+      const newBlocks = formatNewsToBlocks(newsItems, offset, sessionId);
+
+      await respond({
+        replace_original: true,
+        text: `이전 테크 뉴스입니다! (${offset + 1}-${
+          offset + newsItems.length
+        })`,
+        blocks: newBlocks,
+      });
+    }
+
+    context.log.info(`✅ [load_older_news] 처리 완료 (offset: ${offset})`);
+  } catch (error) {
+    context.log.error(`❌ [load_older_news] 처리 중 오류:`, {error});
+    metrics.recordHandlerError();
+
+    try {
+      await respond({
+        response_type: "ephemeral",
+        text: "😭 뉴스를 불러오는 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
+      });
+    } catch (respondError) {
+      context.log.error(`❌ 에러 응답 전송 실패:`, {error: respondError});
+    }
+  }
+});
+
+app.action("load_first_news", async ({action, ack, respond, context}) => {
+  await ack();
+
+  context.log.info(`🔧 [load_first_news] 버튼 클릭됨, value: ${action.value}`);
+  const offset = 0; // 항상 첫 페이지
+
+  try {
+    // value 형식: sessionId_0
+    const parts = action.value.split("_");
+    const sessionId = parts.slice(0, -1).join("_");
+
+    // 세션 가져오기
+    let session = getSession(sessionId);
+
+    // 세션이 없으면 오류 메시지 표시
+    if (!session) {
+      await respond({
+        replace_original: true,
+        text: "❌ 세션이 만료되었습니다. 다시 검색하거나 뉴스를 불러와주세요.",
+      });
+    } else {
+      const newsItems = session.items.slice(0, getSessionPageSize(session));
+
+      if (newsItems.length === 0) {
+        await respond({
+          response_type: "ephemeral",
+          text: "😭 뉴스를 불러오는 데 실패했습니다. 잠시 후 다시 시도해주세요.",
+        });
+        return;
+      }
+
+      const newBlocks = formatNewsToBlocks(newsItems, offset, sessionId);
+
+      await respond({
+        replace_original: true,
+        text: "최신 테크 뉴스입니다!",
+        blocks: newBlocks,
+      });
+    }
+
+    context.log.info(`✅ [load_first_news] 처리 완료`);
+  } catch (error) {
+    context.log.error(`❌ [load_first_news] 처리 중 오류:`, {error});
+    metrics.recordHandlerError();
+
+    try {
+      await respond({
+        response_type: "ephemeral",
+        text: "😭 뉴스를 불러오는 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
+      });
+    } catch (respondError) {
+      context.log.error(`❌ 에러 응답 전송 실패:`, {error: respondError});
+    }
+  }
+});
+
+app.action("load_more_extended", async ({action, ack, respond, context}) => {
+  await ack();
+
+  context.log.info(
+    `🔧 [load_more_extended] 버튼 클릭됨, value: ${action.value}`
+  );
+
+  try {
+    const parts = action.value.split("_");
+    const offset = parseInt(parts[parts.length - 1], 10);
+    const sessionId = parts.slice(0, -1).join("_");
+
+    const session = newsSessions.get(sessionId);
+    if (!session) {
+      await respond({
+        response_type: "ephemeral",
+        text: "😭 세션이 만료되었습니다. 다시 시도해주세요.",
+      });
+      return;
+    }
+
+    const pageSize = getSessionPageSize(session);
+    const newsItems = session.items.slice(offset, offset + pageSize);
+
+    const blocks = createNewsBlocks({
+      items: newsItems,
+      offset,
+      sessionId,
+      pageSize,
+      headerText: `📰 다음 테크 뉴스입니다! (${offset + 1}-${
+        offset + newsItems.length
+      }/${session.items.length})`,
+      totalItems: session.items.length,
+    });
+
+    await respond({
+      replace_original: true,
+      text: "확장된 뉴스 목록",
+      blocks: blocks,
+    });
+
+    context.log.info(`✅ [load_more_extended] 처리 완료 (offset: ${offset})`);
+  } catch (error) {
+    context.log.error(`❌ [load_more_extended] 처리 중 오류:`, {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      text: "😭 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * mrkdwn 이스케이프 되돌리기 (메시지에 표시된 요약을 버튼 값에 다시 담기 위함)
+ * @param {string} text - 이스케이프된 텍스트
+ * @returns {string} 원래 텍스트
+ */
+function unescapeMrkdwn(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * 요약 펼치기/접기 버튼 핸들러 생성
+ * 메시지 안의 해당 뉴스 블록만 바꿔서 같은 자리에서 긴 요약을 보여줌
+ * (요약은 버튼 값에서 읽으므로 캐시 갱신 중이거나 세션이 만료돼도 동작)
+ * @param {boolean} expanded - 펼칠지 여부
+ * @returns {Function} Bolt action 핸들러
+ */
+function handleSummaryToggle(expanded) {
+  return async ({action, ack, body, respond, client, context}) => {
+    await ack();
+
+    try {
+      const {link, summary} = parseSummaryToggleValue(action.value);
+
+      // 홈 탭은 펼친 상태를 기억해 두고 화면 전체를 다시 게시
+      if (body.view?.type === "home") {
+        const {expandedLinks} = getHomeState(body.user.id);
+        if (expanded) {
+          expandedLinks.add(link);
+        } else {
+          expandedLinks.delete(link);
+        }
+        await publishHome(client, body.user.id, {
+          correlationId: context.correlationId,
+        });
+        return;
+      }
+
+      if (!summary) {
+        await respond({
+          response_type: "ephemeral",
+          text: "😭 요약을 찾을 수 없습니다. 새로 받은 뉴스 목록에서 다시 시도해 주세요.",
+        });
+        return;
+      }
+
+      // 임시(ephemeral) 메시지는 원본 블록이 전달되지 않으므로 요약만 따로 표시
+      if (!body.message?.blocks) {
+        await respond({response_type: "ephemeral", text: summary});
+        return;
+      }
+
+      // 뉴스 섹션의 요약 줄만 바꾸고, 버튼은 지금 표시된 요약을 담아 반대 동작으로 교체
+      // (토론 버튼 등 다른 버튼은 그대로 유지)
+      const newsBlockId = action.block_id.replace(/_(actions|summary)$/, "");
+      const newsBlock = body.message.blocks.find(
+        (block) => block.block_id === newsBlockId
+      );
+      const newsText = newsBlock?.text?.text || "";
+      const summaryIndex = newsText.indexOf("\n> ");
+      const heading =
+        summaryIndex >= 0 ? newsText.slice(0, summaryIndex) : newsText;
+      const shownSummary =
+        summaryIndex >= 0
+          ? unescapeMrkdwn(newsText.slice(summaryIndex + 3))
+          : null;
+
+      const blocks = body.message.blocks.map((block) => {
+        if (block === newsBlock) {
+          return {
+            ...block,
+            text: {
+              ...block.text,
+              text: `${heading}\n> ${escapeMrkdwn(summary)}`,
+            },
+          };
+        }
+        if (block.block_id === action.block_id) {
+          return {
+            ...block,
+            elements: block.elements.map((element) =>
+              element.action_id === action.action_id
+                ? createSummaryToggleButton(link, expanded, shownSummary)
+                : element
+            ),
+          };
+        }
+        return block;
+      });
+
+      await respond({
+        replace_original: true,
+        text: body.message.text,
+        blocks,
+      });
+    } catch (error) {
+      context.log.error(
+        `❌ 요약 ${expanded ? "펼치기" : "접기"} 중 오류:`,
+        {error}
+      );
+      metrics.recordHandlerError();
+      await respond({
+        response_type: "ephemeral",
+        text: "😭 오류가 발생했습니다.",
+      });
+    }
+  };
+}
+
+app.action("expand_summary", handleSummaryToggle(true));
+app.action("collapse_summary", handleSummaryToggle(false));
+
+// 북마크 목록 페이지당 개수
+const BOOKMARKS_PER_PAGE = 5;
+
+/**
+ * 읽기 목록 블록 생성 함수
+ * @param {string} userId - 사용자 ID
+ * @param {number} page - 페이지 번호 (0부터 시작)
+ * @returns {Array} Slack message blocks
+ */
+function createBookmarkBlocks(userId, page = 0) {
+  const list = bookmarks.getBookmarks(userId);
+  const unreadCount = list.filter((bookmark) => !bookmark.read).length;
+  const totalPages = Math.max(1, Math.ceil(list.length / BOOKMARKS_PER_PAGE));
+  const currentPage = Math.min(Math.max(0, page), totalPages - 1);
+  const pageItems = list.slice(
+    currentPage * BOOKMARKS_PER_PAGE,
+    (currentPage + 1) * BOOKMARKS_PER_PAGE
+  );
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*🔖 내 읽기 목록* (전체 ${list.length}개 · 안 읽음 ${unreadCount}개)`,
+      },
+    },
+    {type: "divider"},
+  ];
+
+  if (list.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "📭 저장한 글이 없습니다. 뉴스 옆의 `🔖 저장` 버튼으로 추가해보세요.",
+      },
+    });
+    return blocks;
+  }
+
+  pageItems.forEach((bookmark) => {
+    const value = JSON.stringify({link: bookmark.link, page: currentPage});
+    const savedDate = new Date(bookmark.savedAt).toLocaleDateString("ko-KR");
+    const sourceText = bookmark.source ? `${bookmark.source} | ` : "";
+
+    blocks.push(
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${bookmark.read ? "✅" : "📖"} *<${
+            bookmark.link
+          }|${cleanNewsTitle(bookmark.title)}>*\n${sourceText}저장: ${savedDate}`,
+        },
+      },
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: bookmark.read ? "안 읽음으로 표시" : "읽음 ✅",
+              emoji: true,
+            },
+            value,
+            action_id: "bookmark_toggle_read",
+          },
+          {
+            type: "button",
+            text: {type: "plain_text", text: "삭제 🗑️", emoji: true},
+            style: "danger",
+            value,
+            action_id: "bookmark_remove",
+          },
+        ],
+      }
+    );
+  });
+
+  const navigation = [];
+  if (currentPage > 0) {
+    navigation.push({
+      type: "button",
+      text: {type: "plain_text", text: "⬅️ 이전", emoji: true},
+      value: String(currentPage - 1),
+      action_id: "bookmark_page_prev",
+    });
+  }
+  if (currentPage < totalPages - 1) {
+    navigation.push({
+      type: "button",
+      text: {type: "plain_text", text: "다음 ➡️", emoji: true},
+      value: String(currentPage + 1),
+      action_id: "bookmark_page_next",
+    });
+  }
+  navigation.push({
+    type: "button",
+    text: {type: "plain_text", text: "📄 Markdown 내보내기", emoji: true},
+    value: "export",
+    action_id: "bookmark_export",
+  });
+
+  blocks.push(
+    {type: "divider"},
+    {type: "actions", elements: navigation},
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `📄 ${currentPage + 1} / ${totalPages} 페이지`,
+        },
+      ],
+    }
+  );
+
+  return blocks;
+}
+
+/**
+ * 읽기 목록을 Markdown 파일로 만들어 사용자 DM에 업로드
+ * @param {Object} client - Slack Web API 클라이언트
+ * @param {string} userId - 사용자 ID
+ */
+async function exportBookmarks(client, userId) {
+  const {channel} = await client.conversations.open({users: userId});
+  const date = new Date().toISOString().slice(0, 10);
+
+  await client.files.uploadV2({
+    channel_id: channel.id,
+    filename: `reading-list-${date}.md`,
+    title: `읽기 목록 (${date})`,
+    content: bookmarks.exportMarkdown(userId),
+    initial_comment: "📄 읽기 목록을 Markdown으로 내보냈습니다.",
+  });
+}
+
+// 북마크 저장 버튼
+app.action("save_bookmark", async ({action, ack, body, respond, client, context}) => {
+  await ack();
+
+  // 홈 탭에는 응답할 메시지가 없으므로 홈 화면을 다시 게시해 결과 반영
+  const fromHome = body.view?.type === "home";
+
+  try {
+    const item = JSON.parse(action.value);
+    const added = bookmarks.addBookmark(body.user.id, item);
+
+    if (fromHome) {
+      await publishHome(client, body.user.id, {
+        correlationId: context.correlationId,
+      });
+      return;
+    }
+
+    await respond({
+      response_type: "ephemeral",
+      replace_original: false,
+      text: added
+        ? `🔖 읽기 목록에 저장했습니다: *${cleanNewsTitle(
+            item.title
+          )}*\n\`/북마크\`로 확인할 수 있습니다.`
+        : "ℹ️ 이미 읽기 목록에 있는 글입니다.",
+    });
+  } catch (error) {
+    context.log.error("❌ 북마크 저장 중 오류:", {error});
+    metrics.recordHandlerError();
+    if (fromHome) return;
+    await respond({
+      response_type: "ephemeral",
+      replace_original: false,
+      text: `😭 저장하지 못했습니다: ${error.message}`,
+    });
+  }
+});
+
+/**
+ * 읽기 목록 버튼 핸들러 생성 (처리 후 같은 메시지를 갱신)
+ * @param {Function} handle - (userId, action) => 표시할 페이지 번호
+ * @returns {Function} Bolt action 핸들러
+ */
+function handleBookmarkAction(handle) {
+  return async ({action, ack, body, respond, context}) => {
+    await ack();
+
+    try {
+      const page = handle(body.user.id, action);
+      await respond({
+        replace_original: true,
+        text: "내 읽기 목록",
+        blocks: createBookmarkBlocks(body.user.id, page),
+      });
+    } catch (error) {
+      context.log.error(
+        `❌ 북마크 처리 중 오류 (${action.action_id}):`,
+        {error}
+      );
+      metrics.recordHandlerError();
+      await respond({
+        response_type: "ephemeral",
+        replace_original: false,
+        text: "😭 오류가 발생했습니다.",
+      });
+    }
+  };
+}
+
+app.action(
+  "bookmark_toggle_read",
+  handleBookmarkAction((userId, action) => {
+    const {link, page} = JSON.parse(action.value);
+    bookmarks.toggleRead(userId, link);
+    return page;
+  })
+);
+
+app.action(
+  "bookmark_remove",
+  handleBookmarkAction((userId, action) => {
+    const {link, page} = JSON.parse(action.value);
+    bookmarks.removeBookmark(userId, link);
+    return page;
+  })
+);
+
+const showBookmarkPage = handleBookmarkAction((userId, action) =>
+  parseInt(action.value, 10)
+);
+app.action("bookmark_page_prev", showBookmarkPage);
+app.action("bookmark_page_next", showBookmarkPage);
+
+app.action("bookmark_export", async ({ack, body, client, respond, context}) => {
+  await ack();
+
+  try {
+    await exportBookmarks(client, body.user.id);
+    await respond({
+      response_type: "ephemeral",
+      replace_original: false,
+      text: "📄 DM으로 Markdown 파일을 보냈습니다.",
+    });
+  } catch (error) {
+    context.log.error("❌ 북마크 내보내기 중 오류:", {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      replace_original: false,
+      text: "😭 내보내기에 실패했습니다.",
+    });
+  }
+});
+
+// 읽기 목록 커맨드 - 사용법: /북마크 [내보내기]
+app.command("/북마크", async ({ack, respond, command, client, context}) => {
+  await ack();
+
+  if (command.text.trim() === "내보내기") {
+    try {
+      await exportBookmarks(client, command.user_id);
+      await respond({
+        response_type: "ephemeral",
+        text: "📄 DM으로 Markdown 파일을 보냈습니다.",
+      });
+    } catch (error) {
+      context.log.error("❌ 북마크 내보내기 중 오류:", {error});
+      metrics.recordHandlerError();
+      await respond({
+        response_type: "ephemeral",
+        text: "😭 내보내기에 실패했습니다.",
+      });
+    }
+    return;
+  }
+
+  await respond({
+    response_type: "ephemeral",
+    text: "내 읽기 목록",
+    blocks: createBookmarkBlocks(command.user_id),
+  });
+});
+
+/**
+ * 사용자 설정 모달 생성 함수
+ * @param {Object} preferences - 현재 설정
+ * @param {string} channelId - 설정 완료 안내를 보낼 채널
+ * @returns {Object} Slack modal view
+ */
+function createPreferencesView(preferences, channelId) {
+  const toOption = (text, value) => ({
+    text: {type: "plain_text", text: String(text).slice(0, 75)},
+    value: String(value),
+  });
+
+  // 선택지는 등록된 피드 기준 (삭제된 피드는 초기값에서 제외)
+  const sourceNames = feedRegistry
+    .getFeeds()
+    .map((feed) => feed.name)
+    .slice(0, 100);
+  const sourceSelect = (actionId, selected, placeholder) => {
+    const element = {
+      type: "multi_static_select",
+      action_id: actionId,
+      placeholder: {type: "plain_text", text: placeholder},
+      options: sourceNames.map((name) => toOption(name, name)),
+    };
+    const initial = selected.filter((name) => sourceNames.includes(name));
+    if (initial.length > 0) {
+      element.initial_options = initial.map((name) => toOption(name, name));
+    }
+    return element;
+  };
+  const radioOptions = (labels) =>
+    Object.entries(labels).map(([value, label]) => toOption(label, value));
+
+  // 선택지가 없는 multi_static_select는 Slack이 거부하므로 피드가 없으면 안내만 표시
+  const sourceBlocks =
+    sourceNames.length > 0
+      ? [
+          {
+            type: "input",
+            block_id: "preferred_sources",
+            optional: true,
+            label: {type: "plain_text", text: "⭐ 선호 소스"},
+            hint: {
+              type: "plain_text",
+              text: "최근 24시간 안에 올라온 선호 소스의 글을 먼저 보여줍니다.",
+            },
+            element: sourceSelect(
+              "value",
+              preferences.preferredSources,
+              "먼저 볼 소스 선택"
+            ),
+          },
+          {
+            type: "input",
+            block_id: "muted_sources",
+            optional: true,
+            label: {type: "plain_text", text: "🔇 제외 소스"},
+            hint: {
+              type: "plain_text",
+              text: "/뉴스, /뉴스검색, 홈 탭에서 보이지 않습니다.",
+            },
+            element: sourceSelect(
+              "value",
+              preferences.mutedSources,
+              "보지 않을 소스 선택"
+            ),
+          },
+        ]
+      : [
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: "⭐ 등록된 피드가 없어 선호/제외 소스는 설정할 수 없습니다. `/피드추가`로 피드를 등록해보세요.",
+              },
+            ],
+          },
+        ];
+
+  return {
+    type: "modal",
+    callback_id: "news_preferences",
+    private_metadata: JSON.stringify({channelId}),
+    title: {type: "plain_text", text: "뉴스 설정"},
+    submit: {type: "plain_text", text: "저장"},
+    close: {type: "plain_text", text: "취소"},
+    blocks: [
+      ...sourceBlocks,
+      {
+        type: "input",
+        block_id: "page_size",
+        label: {type: "plain_text", text: "📄 페이지당 뉴스 수"},
+        element: {
+          type: "static_select",
+          action_id: "value",
+          options: userPreferences.PAGE_SIZE_OPTIONS.map((size) =>
+            toOption(`${size}개`, size)
+          ),
+          initial_option: toOption(
+            `${preferences.pageSize}개`,
+            preferences.pageSize
+          ),
+        },
+      },
+      {
+        type: "input",
+        block_id: "language",
+        label: {type: "plain_text", text: "🌐 언어"},
+        element: {
+          type: "radio_buttons",
+          action_id: "value",
+          options: radioOptions(userPreferences.LANGUAGE_OPTIONS),
+          initial_option: toOption(
+            userPreferences.LANGUAGE_OPTIONS[preferences.language],
+            preferences.language
+          ),
+        },
+      },
+      {
+        type: "input",
+        block_id: "visibility",
+        label: {type: "plain_text", text: "👀 결과 공개 범위"},
+        element: {
+          type: "radio_buttons",
+          action_id: "value",
+          options: radioOptions(userPreferences.VISIBILITY_OPTIONS),
+          initial_option: toOption(
+            userPreferences.VISIBILITY_OPTIONS[preferences.visibility],
+            preferences.visibility
+          ),
+        },
+      },
+    ],
+  };
+}
+
+// 사용자 설정 커맨드 - 모달로 선호/제외 소스, 페이지 크기, 언어, 공개 범위 설정
+app.command("/뉴스설정", async ({ack, respond, command, client, context}) => {
+  await ack();
+
+  try {
+    await client.views.open({
+      trigger_id: command.trigger_id,
+      view: createPreferencesView(
+        userPreferences.getPreferences(command.user_id),
+        command.channel_id
+      ),
+    });
+  } catch (error) {
+    context.log.error("❌ 설정 모달 열기 실패:", {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      text: "😭 설정 화면을 열 수 없습니다. 잠시 후 다시 시도해주세요.",
+    });
+  }
+});
+
+app.view("news_preferences", async ({ack, body, view, client, context}) => {
+  const values = view.state.values;
+  // 피드가 없어 소스 선택이 빠진 모달이면 기존 설정 유지
+  const current = userPreferences.getPreferences(body.user.id);
+  const selectedValues = (blockId, fallback) =>
+    values[blockId]
+      ? (values[blockId].value.selected_options || []).map(
+          (option) => option.value
+        )
+      : fallback;
+
+  let saved;
+  try {
+    saved = userPreferences.setPreferences(body.user.id, {
+      preferredSources: selectedValues(
+        "preferred_sources",
+        current.preferredSources
+      ),
+      mutedSources: selectedValues("muted_sources", current.mutedSources),
+      pageSize: parseInt(values.page_size.value.selected_option.value, 10),
+      language: values.language.value.selected_option.value,
+      visibility: values.visibility.value.selected_option.value,
+    });
+  } catch (error) {
+    await ack({
+      response_action: "errors",
+      errors: {muted_sources: error.message},
+    });
+    return;
+  }
+
+  await ack();
+  context.log.info(`⚙️ 사용자 설정 저장: ${body.user.id}`);
+
+  // 설정을 연 채널에 나에게만 보이는 안내 (봇이 없는 채널이면 생략)
+  try {
+    const {channelId} = JSON.parse(view.private_metadata || "{}");
+    if (channelId) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: body.user.id,
+        text:
+          `✅ 뉴스 설정을 저장했습니다. 페이지당 ${saved.pageSize}개 · ` +
+          `${userPreferences.LANGUAGE_OPTIONS[saved.language]} · ` +
+          `${userPreferences.VISIBILITY_OPTIONS[saved.visibility]}`,
+      });
+    }
+  } catch (error) {
+    context.log.warn(`⚠️ 설정 저장 안내 전송 실패: ${error.message}`);
+  }
+
+  // 홈 탭을 연 적이 있으면 새 설정으로 다시 게시
+  if (homeStates.has(body.user.id)) {
+    await publishHome(client, body.user.id, {
+      correlationId: context.correlationId,
+    }).catch((error) =>
+      context.log.error(`❌ 홈 탭 게시 실패 (${body.user.id}):`, {error})
+    );
+  }
+});
+
+// 홈 탭에 표시할 추천 뉴스 개수
+const HOME_NEWS_COUNT = 5;
+
+// 홈 탭 피드 상태 요약에 표시할 최대 피드 수
+const HOME_FEED_STATUS_LIMIT = 20;
+
+// "전체" 카테고리 버튼의 value (Block Kit은 빈 문자열 value를 허용하지 않음)
+const HOME_CATEGORY_ALL = "all";
+
+// 사용자별 홈 탭 상태 (선택한 카테고리, 요약을 펼친 뉴스 링크)
+const homeStates = new Map();
+
+function getHomeState(userId) {
+  if (!homeStates.has(userId)) {
+    homeStates.set(userId, {category: null, expandedLinks: new Set()});
+  }
+  return homeStates.get(userId);
+}
+
+/**
+ * 홈 탭 블록 생성 함수 (뉴스 목록은 createNewsBlocks와 같은 formatNewsItem 사용)
+ * @param {string} userId - 사용자 ID
+ * @param {Array} allNews - 전체 뉴스 목록
+ * @returns {Array} Slack view blocks
+ */
+function createHomeBlocks(userId, allNews) {
+  const state = getHomeState(userId);
+  const category = state.category
+    ? categories.findCategory(state.category)
+    : null;
+  const cacheStatus = getCacheStatus();
+  const preferences = userPreferences.getPreferences(userId);
+
+  const blocks = [
+    {
+      type: "header",
+      text: {type: "plain_text", text: "🏠 Daily Geek News", emoji: true},
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: cacheStatus.isLoading
+            ? `⏳ 뉴스를 갱신하는 중입니다... (${cacheStatus.loadingTime}초 경과)`
+            : `🕒 마지막 갱신: ${formatRelativeTime(
+                cacheStatus.lastRefreshedAt
+              )} · 캐시 ${cacheStatus.totalCached}개`,
+        },
+      ],
+    },
+  ];
+
+  // 새로고침 + 카테고리 이동 버튼 (actions 블록은 버튼 최대 25개)
+  const categoryButtons = [null, ...categories.getCategories()]
+    .slice(0, 24)
+    .map((entry, index) => {
+      const button = {
+        type: "button",
+        text: {type: "plain_text", text: entry ? entry.name : "전체"},
+        value: entry ? entry.name : HOME_CATEGORY_ALL,
+        action_id: `home_category_${index}`,
+      };
+      if ((entry?.name || null) === (category?.name || null)) {
+        button.style = "primary";
+      }
+      return button;
+    });
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: {type: "plain_text", text: "🔄 새로고침", emoji: true},
+        value: "refresh",
+        action_id: "home_refresh",
+      },
+      ...categoryButtons,
+    ],
+  });
+
+  // 추천 뉴스
+  const homeNews = userPreferences
+    .applyPreferences(
+      categories.filterByCategory(allNews, category),
+      preferences
+    )
+    .slice(0, HOME_NEWS_COUNT);
+  blocks.push(
+    {type: "divider"},
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*📰 오늘의 뉴스${category ? ` · ${category.name}` : ""}*`,
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text:
+            preferences.preferredSources.length > 0
+              ? `⭐ 선호 소스: ${preferences.preferredSources.join(", ")}`
+              : "⭐ `/뉴스설정`에서 선호 소스를 고르면 해당 소스의 오늘 글을 먼저 보여드립니다.",
+        },
+      ],
+    }
+  );
+
+  if (homeNews.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text:
+          allNews.length === 0
+            ? "⏳ 뉴스를 불러오는 중입니다. 잠시 후 새로고침해주세요."
+            : "🔍 조건에 맞는 뉴스가 없습니다.",
+      },
+    });
+  }
+  homeNews.forEach((item) => {
+    blocks.push(...formatNewsItem(item, state.expandedLinks.has(item.link)));
+  });
+
+  // 읽기 목록
+  const unread = bookmarks
+    .getBookmarks(userId)
+    .filter((bookmark) => !bookmark.read);
+  const unreadLines = unread
+    .slice(0, 3)
+    .map(
+      (bookmark) => `• <${bookmark.link}|${cleanNewsTitle(bookmark.title)}>`
+    );
+  blocks.push(
+    {type: "divider"},
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text:
+          `*🔖 읽기 목록* (안 읽음 ${unread.length}개)\n` +
+          (unreadLines.length > 0
+            ? `${unreadLines.join("\n")}\n전체 목록은 \`/북마크\`로 확인하세요.`
+            : "안 읽은 글이 없습니다."),
+      },
+    }
+  );
+
+  // 구독 키워드
+  const keywords = subscriptions.getKeywords(userId);
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text:
+        `*🔔 구독 키워드*\n` +
+        (keywords.length > 0
+          ? keywords.map((k) => `\`${k}\``).join(", ")
+          : "구독 중인 키워드가 없습니다. `/구독 <키워드>`로 추가해보세요."),
+    },
+  });
+
+  // 피드 상태 요약 (피드가 많으면 텍스트 3000자 제한을 넘지 않도록 일부만 표시)
+  const allFeeds = feedRegistry.getFeeds();
+  const feedLines = allFeeds
+    .slice(0, HOME_FEED_STATUS_LIMIT)
+    .map(
+      (feed) =>
+        `${getFeedStatusIcon(feed, feedHealth.getFeedHealth(feed.name))} ${
+          feed.name.length > 60 ? `${feed.name.substring(0, 60)}…` : feed.name
+        }`
+    );
+  if (allFeeds.length > HOME_FEED_STATUS_LIMIT) {
+    feedLines.push(
+      `외 ${allFeeds.length - HOME_FEED_STATUS_LIMIT}개 (\`/피드상태\`)`
+    );
+  }
+  blocks.push(
+    {type: "divider"},
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*🩺 피드 상태*\n${feedLines.join("  ·  ")}`,
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "🟢 정상 · 🟡 최근 실패 · 🔴 서킷 오픈 · ⚪ 비활성 · ❔ 기록 없음 — 자세한 내용은 `/피드상태`",
+        },
+      ],
+    }
+  );
+
+  return blocks;
+}
+
+/**
+ * 홈 탭 게시 함수
+ * @param {Object} client - Slack Web API 클라이언트
+ * @param {string} userId - 사용자 ID
+ * @param {Object} options - 게시 옵션
+ * @param {boolean} options.loadIfEmpty - 캐시가 비어 있으면 수집 후 한 번 더 게시 (기본값 true)
+ * @param {string} options.correlationId - 로그 추적용 ID
+ */
+async function publishHome(client, userId, options = {}) {
+  const {loadIfEmpty = true, correlationId} = options;
+  const cacheStatus = getCacheStatus();
+  const hasNews = cacheStatus.totalCached > 0 || cacheStatus.staleCached > 0;
+  const allNews = hasNews ? await fetchAllNews({correlationId}) : [];
+
+  await client.views.publish({
+    user_id: userId,
+    view: {type: "home", blocks: createHomeBlocks(userId, allNews)},
+  });
+
+  // 첫 수집은 오래 걸리므로 로딩 화면을 먼저 보여주고 수집이 끝나면 다시 게시
+  if (!hasNews && loadIfEmpty && !cacheStatus.isLoading) {
+    fetchAllNews({correlationId})
+      .then(() =>
+        publishHome(client, userId, {loadIfEmpty: false, correlationId})
+      )
+      .catch((error) => {
+        logger.error("❌ 홈 탭 뉴스 수집 실패:", {correlationId, error});
+        metrics.recordHandlerError();
+      });
+  }
+}
+
+app.event("app_home_opened", async ({event, client, context}) => {
+  if (event.tab !== "home") return;
+
+  try {
+    await publishHome(client, event.user, {
+      correlationId: context.correlationId,
+    });
+  } catch (error) {
+    context.log.error(`❌ 홈 탭 게시 실패 (${event.user}):`, {error});
+    metrics.recordHandlerError();
+  }
+});
+
+app.action("home_refresh", async ({ack, body, client, context}) => {
+  await ack();
+
+  try {
+    await publishHome(client, body.user.id, {
+      correlationId: context.correlationId,
+    });
+  } catch (error) {
+    context.log.error(`❌ 홈 탭 새로고침 실패 (${body.user.id}):`, {error});
+    metrics.recordHandlerError();
+  }
+});
+
+app.action(/^home_category_\d+$/, async ({action, ack, body, client, context}) => {
+  await ack();
+
+  try {
+    getHomeState(body.user.id).category =
+      action.value === HOME_CATEGORY_ALL ? null : action.value;
+    await publishHome(client, body.user.id, {
+      correlationId: context.correlationId,
+    });
+  } catch (error) {
+    context.log.error(
+      `❌ 홈 탭 카테고리 이동 실패 (${body.user.id}):`,
+      {error}
+    );
+    metrics.recordHandlerError();
+  }
+});
+
+/**
+ * 다이제스트 뉴스 반응 이벤트 핸들러 생성
+ * @param {boolean} added - 반응 추가 여부 (false면 취소)
+ * @returns {Function} Bolt event 핸들러
+ */
+function handleReaction(added) {
+  return async ({event, context}) => {
+    try {
+      if (feedback.recordReaction(event, added)) {
+        context.log.info(
+          `👍 [피드백] ${event.user}님이 :${event.reaction}: 반응을 ${
+            added ? "추가" : "취소"
+          }했습니다. (${event.item.channel})`
+        );
+      }
+    } catch (error) {
+      context.log.error("❌ 반응 기록 중 오류:", {error});
+      metrics.recordHandlerError();
+    }
+  };
+}
+
+app.event("reaction_added", handleReaction(true));
+app.event("reaction_removed", handleReaction(false));
+
+/**
+ * 관리자 여부 확인 (ADMIN_USER_IDS가 있으면 목록 기준, 없으면 워크스페이스 관리자/소유자)
+ * @param {Object} client - Slack Web API 클라이언트
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<boolean>} 관리자 여부
+ */
+async function isAdminUser(client, userId) {
+  const adminIds = (process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (adminIds.length > 0) {
+    return adminIds.includes(userId);
+  }
+
+  const {user} = await client.users.info({user: userId});
+  return Boolean(user?.is_admin || user?.is_owner);
+}
+
+/**
+ * 채널의 학습된 피드백 가중치 블록 생성 함수
+ * @param {string} channel - 채널 ID
+ * @returns {Array} Slack message blocks
+ */
+function createFeedbackWeightBlocks(channel) {
+  const scores = feedback.getScores(channel);
+  const formatScores = (entries) =>
+    Object.entries(entries)
+      .sort((a, b) => b[1] - a[1])
+      .map(
+        ([name, score]) =>
+          `• ${name}: ${score > 0 ? "+" : ""}${score}점 → x${feedback
+            .toWeight(score)
+            .toFixed(2)}`
+      )
+      .join("\n") || "• 없음";
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text:
+          `*⚖️ <#${channel}> 피드백 가중치*\n` +
+          `뉴스 ${scores.messages}개에 남긴 반응 ${scores.votes}개 기준\n\n` +
+          `*소스*\n${formatScores(scores.sources)}\n\n` +
+          `*카테고리*\n${formatScores(scores.categories)}`,
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "💡 다이제스트는 최신순에 이 가중치를 곱해 뉴스를 고릅니다. `/피드백가중치 초기화`로 이 채널의 반응 기록을 지울 수 있습니다.",
+        },
+      ],
+    },
+  ];
+}
+
+// 피드백 가중치 확인/초기화 커맨드 (관리자 전용) - 사용법: /피드백가중치 [초기화]
+app.command("/피드백가중치", async ({ack, respond, command, client, context}) => {
+  await ack();
+
+  try {
+    if (!(await isAdminUser(client, command.user_id))) {
+      await respond({
+        response_type: "ephemeral",
+        text: "🚫 관리자만 사용할 수 있는 명령어입니다.",
+      });
+      return;
+    }
+
+    const channel = command.channel_id;
+
+    if (command.text.trim() === "초기화") {
+      const cleared = feedback.resetChannel(channel);
+      context.log.info(
+        `⚖️ [피드백] ${command.user_id}님이 ${channel} 가중치를 초기화했습니다.`
+      );
+      await respond({
+        response_type: "ephemeral",
+        text: `🧹 <#${channel}> 채널의 반응 기록을 초기화했습니다. (뉴스 ${cleared}개)`,
+      });
+      return;
+    }
+
+    await respond({
+      response_type: "ephemeral",
+      text: "피드백 가중치",
+      blocks: createFeedbackWeightBlocks(channel),
+    });
+  } catch (error) {
+    context.log.error("❌ 피드백 가중치 조회 중 오류:", {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      text: "😭 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 다이제스트 뉴스의 토론 버튼 텍스트 (하루가 끝나면 댓글 수를 덧붙임)
+const DISCUSSION_LABEL = "💬 토론";
+
+// 토론 스레드를 만드는 중인 뉴스 (동시에 눌러도 스레드를 하나만 만들기 위함)
+const pendingDiscussions = new Map();
+
+/**
+ * 토론 시작 메시지 게시 함수
+ * 다이제스트 스레드에 글별 시작 메시지를 답글로 올려, 채널에는 새 메시지가 생기지 않음
+ * (Slack 스레드는 중첩할 수 없으므로 시작 메시지 뒤에 달린 답글을 그 글의 토론으로 봄)
+ * @param {Object} client - Slack Web API 클라이언트
+ * @param {string} channel - 채널 ID
+ * @param {string} digestTs - 다이제스트 메시지 ts
+ * @param {Object} article - discussions에 기록된 뉴스
+ * @returns {Promise<string>} 토론 시작 메시지 ts
+ */
+async function startDiscussionThread(client, channel, digestTs, article) {
+  const summaryLine = article.summary
+    ? `\n> ${escapeMrkdwn(article.summary)}`
+    : "";
+
+  const message = await client.chat.postMessage({
+    channel,
+    thread_ts: digestTs,
+    text: `💬 토론: ${article.title}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*💬 토론: <${article.link}|${cleanNewsTitle(article.title)}>*\n${article.source}${summaryLine}`,
+        },
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "이 글에 대한 의견을 이 메시지 아래 답글로 남겨주세요.",
           },
-        ];
-      } else if (cacheStatus.totalCached === 0) {
-        // 캐시가 비어있는 경우 즉시 로딩 메시지 표시
-        console.log(
-          `⚡ 멘션: 캐시 없음 - 즉시 로딩 메시지 표시 후 RSS 파싱 시작`
+        ],
+      },
+    ],
+    unfurl_links: false,
+    unfurl_media: false,
+  });
+
+  discussions.setSeed(channel, digestTs, article.link, message.ts);
+  logger.info(`💬 [토론] 토론 시작: ${article.title} (${channel})`);
+  return message.ts;
+}
+
+app.action("open_discussion", async ({action, ack, body, respond, client, context}) => {
+  await ack();
+
+  try {
+    const channel = body.channel.id;
+    const digestTs = body.message.ts;
+    const article = discussions.getArticle(channel, digestTs, action.value);
+
+    if (!article) {
+      await respond({
+        response_type: "ephemeral",
+        replace_original: false,
+        text: "😭 토론 기록을 찾을 수 없습니다. 오래된 다이제스트는 토론을 시작할 수 없습니다.",
+      });
+      return;
+    }
+
+    // 이미 토론을 시작했으면 같은 시작 메시지로 안내
+    let seedTs = article.seedTs;
+    if (!seedTs) {
+      const key = `${channel}:${digestTs}:${article.link}`;
+      if (!pendingDiscussions.has(key)) {
+        pendingDiscussions.set(
+          key,
+          startDiscussionThread(client, channel, digestTs, article).finally(
+            () => pendingDiscussions.delete(key)
+          )
         );
+      }
+      seedTs = await pendingDiscussions.get(key);
+    }
+
+    const {permalink} = await client.chat.getPermalink({
+      channel,
+      message_ts: seedTs,
+    });
+    await respond({
+      response_type: "ephemeral",
+      replace_original: false,
+      text: `💬 <${permalink}|토론으로 이동하기> - ${cleanNewsTitle(
+        article.title
+      )}`,
+    });
+  } catch (error) {
+    context.log.error("❌ 토론 스레드 시작 중 오류:", {error});
+    metrics.recordHandlerError();
+    await respond({
+      response_type: "ephemeral",
+      replace_original: false,
+      text: "😭 토론 스레드를 열 수 없습니다. 잠시 후 다시 시도해주세요.",
+    });
+  }
+});
+
+/**
+ * 다이제스트 스레드의 답글 전체 (페이지를 넘기며 모두 가져옴)
+ * @param {Object} client - Slack Web API 클라이언트
+ * @param {string} channel - 채널 ID
+ * @param {string} digestTs - 다이제스트 메시지 ts
+ * @returns {Promise<Array>} 답글 목록 (다이제스트 메시지 제외)
+ */
+async function fetchThreadReplies(client, channel, digestTs) {
+  const replies = [];
+  let cursor;
+  do {
+    const result = await client.conversations.replies({
+      channel,
+      ts: digestTs,
+      limit: 200,
+      cursor,
+    });
+    replies.push(
+      ...(result.messages || []).filter((message) => message.ts !== digestTs)
+    );
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+  return replies;
+}
 
-        responseText = `⏳ 뉴스를 불러오는 중입니다...\n처음 로딩이라 시간이 조금 걸릴 수 있습니다. 잠시만 기다려주세요 ☀️`;
-        responseBlocks = [
-          {
-            type: "section",
-            text: {type: "mrkdwn", text: responseText},
-          },
-        ];
+/**
+ * 토론 댓글 수 갱신 함수 - 하루 동안 보낸 다이제스트의 토론 버튼에 댓글 수 표시
+ * @returns {Object} 갱신 결과 ({updated})
+ */
+async function updateDiscussionCounts() {
+  const client = app.client;
+  let updated = 0;
 
-        // 백그라운드에서 RSS 파싱 후 새로운 메시지 전송
-        fetchAllNews()
-          .then(async (allNews) => {
-            if (allNews.length > 0) {
-              const sessionId = createSession(allNews, "news");
+  for (const digest of discussions.getDigestsWithThreads()) {
+    try {
+      const {channel, digestTs} = digest;
+
+      // 뉴스 링크별 댓글 수 (시작 메시지 뒤 ~ 다음 글의 시작 메시지 전까지 사람이 단 답글)
+      const replies = await fetchThreadReplies(client, channel, digestTs);
+      const seeds = Object.values(digest.articles)
+        .filter((article) => article.seedTs)
+        .sort((a, b) => parseFloat(a.seedTs) - parseFloat(b.seedTs));
+      const replyCounts = {};
+      seeds.forEach((article, index) => {
+        const from = parseFloat(article.seedTs);
+        const to = seeds[index + 1]
+          ? parseFloat(seeds[index + 1].seedTs)
+          : Infinity;
+        replyCounts[article.link] = replies.filter((reply) => {
+          const ts = parseFloat(reply.ts);
+          return ts > from && ts < to && !reply.bot_id && !reply.subtype;
+        }).length;
+      });
 
-              const newsItems = allNews.slice(0, 5);
-              const newBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
+      const history = await client.conversations.history({
+        channel,
+        latest: digestTs,
+        inclusive: true,
+        limit: 1,
+      });
+      const message = history.messages?.find((m) => m.ts === digestTs);
+      if (!message?.blocks) continue;
+
+      const blocks = message.blocks.map((block) => {
+        if (block.type !== "actions") return block;
+        return {
+          ...block,
+          elements: block.elements.map((element) =>
+            element.action_id === "open_discussion" &&
+            element.value in replyCounts
+              ? {
+                  ...element,
+                  text: {
+                    ...element.text,
+                    text: `${DISCUSSION_LABEL} (댓글 ${
+                      replyCounts[element.value]
+                    })`,
+                  },
+                }
+              : element
+          ),
+        };
+      });
 
-              await client.chat.postMessage({
-                token: process.env.SLACK_BOT_TOKEN,
-                channel: event.channel,
-                text: "✅ 최신 기술 뉴스를 불러왔습니다!",
-                blocks: newBlocks,
-                unfurl_links: false,
-                unfurl_media: false,
-              });
-            } else {
-              await client.chat.postMessage({
-                token: process.env.SLACK_BOT_TOKEN,
-                channel: event.channel,
-                text: "😭 현재 불러올 뉴스가 없습니다.",
-                unfurl_links: false,
-                unfurl_media: false,
-              });
-            }
-          })
-          .catch(async (error) => {
-            console.error(`❌ 멘션 백그라운드 처리 중 오류:`, error);
-            await client.chat.postMessage({
-              token: process.env.SLACK_BOT_TOKEN,
-              channel: event.channel,
-              text: "😭 오류가 발생하여 뉴스를 가져올 수 없습니다.",
-              unfurl_links: false,
-              unfurl_media: false,
-            });
-          });
-      } else {
-        // 캐시가 있는 경우 일반 처리
-        const allNews = await fetchAllNews();
+      await client.chat.update({
+        channel,
+        ts: digestTs,
+        text: message.text,
+        blocks,
+      });
+      discussions.markCountsUpdated(channel, digestTs);
+      updated++;
+    } catch (error) {
+      logger.error(
+        `❌ [토론] 댓글 수 갱신 실패 (${digest.channel}:${digest.digestTs}):`,
+        {error}
+      );
+      metrics.recordBackgroundError("discussion_counts");
+    }
+  }
 
-        if (allNews.length > 0) {
-          const sessionId = createSession(allNews, "news");
+  logger.info(`💬 [토론] 다이제스트 ${updated}개의 댓글 수를 갱신했습니다.`);
+  return {updated};
+}
 
-          const newsItems = allNews.slice(0, 5);
-          responseText = "📰 최신 기술 뉴스를 가져왔습니다!";
-          responseBlocks = formatNewsToBlocks(newsItems, 0, sessionId);
-        } else {
-          responseText = "😭 현재 불러올 뉴스가 없습니다.";
-          responseBlocks = [
-            {
-              type: "section",
-              text: {type: "mrkdwn", text: responseText},
-            },
-          ];
-        }
-      }
-    } else if (mentionText.includes("도움") || mentionText.includes("help")) {
-      responseText = "🤖 Daily Geek News Bot 사용법";
-      responseBlocks = [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text:
-              "*🤖 Daily Geek News Bot 사용법*\n\n" +
-              "• `/뉴스` - 최신 기술 뉴스 5개 조회\n" +
-              "• `@봇이름 뉴스` - 멘션으로 뉴스 요청\n" +
-              "• `@봇이름 도움` - 사용법 안내",
-          },
-        },
-        {type: "divider"},
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text:
-              "*📊 뉴스 소스*\n" +
-              "GeekNewsFeed, LINE Tech, Coupang Engineering, Toss Tech, 당근 Tech",
-          },
-        },
-        {
-          type: "context",
-          elements: [
-            {
-              type: "mrkdwn",
-              text: "매주 월~금 오전 9시에 자동으로 뉴스를 전송합니다 ⏰",
-            },
-          ],
-        },
-      ];
-    } else {
-      // 일반 멘션 - 기본 인사 메시지
-      responseText = "👋 안녕하세요! Daily Geek News Bot입니다.";
-      responseBlocks = [
+// Slack 메시지 최대 블록 수
+const MAX_MESSAGE_BLOCKS = 50;
+
+/**
+ * 다이제스트 메시지 블록 생성 함수
+ * @param {Object} profile - 다이제스트 프로필
+ * @param {Array} newsItems - 보낼 뉴스
+ * @param {number} unsentCount - 보낼 수 있었던 새 뉴스 수
+ * @param {number} skippedCount - 이미 전송해서 제외한 뉴스 수
+ * @returns {Array} Slack message blocks
+ */
+function createDigestBlocks(profile, newsItems, unsentCount, skippedCount) {
+  const simpleBlocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `${profile.headerText} - ${new Date().toLocaleDateString(
+          "ko-KR"
+        )}`,
+        emoji: true,
+      },
+    },
+    {type: "divider"},
+  ];
+
+  if (newsItems.length === 0) {
+    simpleBlocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "🔍 지난 전송 이후 새로 올라온 뉴스가 없습니다.",
+      },
+    });
+  }
+
+  if (profile.groupByCategory) {
+    // 대표 카테고리별 소제목 아래에 묶어서 표시
+    categories.groupByCategory(newsItems).forEach(({name, items}) => {
+      simpleBlocks.push({
+        type: "section",
+        text: {type: "mrkdwn", text: `*🏷️ ${name}* (${items.length}개)`},
+      });
+      items.forEach((item) => {
+        simpleBlocks.push(
+          ...formatNewsItem(item, false, {discussionLabel: DISCUSSION_LABEL})
+        );
+      });
+    });
+  } else {
+    newsItems.forEach((item) => {
+      simpleBlocks.push(
+        ...formatNewsItem(item, false, {discussionLabel: DISCUSSION_LABEL})
+      );
+    });
+  }
+
+  let countText = `최신 뉴스: ${newsItems.length}개`;
+  if (unsentCount < profile.count) {
+    countText += ` · 새 뉴스가 ${newsItems.length}개뿐이라 이미 전송한 뉴스 ${skippedCount}개는 다시 보내지 않았습니다`;
+  } else if (newsItems.length < profile.count) {
+    countText += ` · 메시지 블록 제한으로 ${profile.count}개 중 ${newsItems.length}개만 보냈습니다`;
+  }
+
+  const feedbackText =
+    newsItems.length > 0
+      ? "\n👍/👎 반응은 스레드의 각 뉴스에 남겨주세요. 다음 다이제스트 선정에 반영됩니다." +
+        "\n💬 토론 버튼을 누르면 글마다 토론 스레드가 열리고, 하루가 끝나면 댓글 수가 표시됩니다."
+      : "";
+
+  simpleBlocks.push(
+    {type: "divider"},
+    {
+      type: "context",
+      elements: [
         {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text:
-              "*👋 안녕하세요! Daily Geek News Bot입니다.*\n\n" +
-              "최신 기술 뉴스를 전달해드립니다! 🚀\n\n" +
-              "`@봇이름 도움말`을 입력하시면 사용법을 안내해드릴게요.",
-          },
+          type: "mrkdwn",
+          text: `\`daily-geek-news-bot\`이 전해드렸습니다. ✨ (${countText})${feedbackText}`,
         },
-      ];
+      ],
     }
+  );
 
-    await client.chat.postMessage({
-      token: process.env.SLACK_BOT_TOKEN,
-      channel: event.channel,
-      text: responseText,
-      blocks: responseBlocks,
-      unfurl_links: false,
-      unfurl_media: false,
-    });
+  return simpleBlocks;
+}
 
-    const duration = Date.now() - startTime;
-    console.log(`✅ 봇 멘션 응답 완료 (처리시간: ${duration}ms)`);
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error(
-      `❌ 봇 멘션 처리 중 오류 발생 (처리시간: ${duration}ms):`,
-      error
+/**
+ * 데일리 뉴스 다이제스트 전송 함수 (이미 전송한 뉴스는 제외)
+ * @param {Object} profile - 다이제스트 프로필 (채널, 소스/키워드 필터, 개수, 헤더)
+ * @param {Array} allNews - 전체 뉴스 목록
+ * @param {string} correlationId - 로그 추적용 ID
+ * @returns {Object} 전송 결과 ({profile, sentCount, message})
+ */
+async function postDigestForProfile(profile, allNews, correlationId) {
+  const {channel, count} = profile;
+
+  // 프로필 조건에 맞고 이 채널에 아직 보내지 않은 뉴스 중
+  // 최신 순(채널의 👍/👎 반응으로 학습한 소스/카테고리 가중치 반영)으로 채우기
+  const profileNews = digestProfiles.filterItemsForProfile(profile, allNews);
+  const unsentNews = feedback.rankForChannel(
+    channel,
+    filterUnsent(channel, profileNews)
+  );
+  let newsItems = unsentNews.slice(0, count);
+  const skippedCount = profileNews.length - unsentNews.length;
+
+  // Slack 메시지는 블록 50개까지 - 실제 블록 수가 넘으면 순위가 낮은 뉴스부터 줄임
+  // (뉴스마다 버튼 블록 유무, 카테고리 소제목 수가 달라 개수만으로는 알 수 없음)
+  let simpleBlocks = createDigestBlocks(
+    profile,
+    newsItems,
+    unsentNews.length,
+    skippedCount
+  );
+  while (simpleBlocks.length > MAX_MESSAGE_BLOCKS && newsItems.length > 0) {
+    newsItems = newsItems.slice(0, -1);
+    simpleBlocks = createDigestBlocks(
+      profile,
+      newsItems,
+      unsentNews.length,
+      skippedCount
+    );
+  }
+  if (newsItems.length < Math.min(count, unsentNews.length)) {
+    logger.warn(
+      `⚠️ [${profile.name}] 메시지 블록 제한으로 뉴스를 ${newsItems.length}개로 줄였습니다.`,
+      {correlationId}
     );
+  }
 
+  const digestMessage = await app.client.chat.postMessage({
+    token: process.env.SLACK_BOT_TOKEN,
+    channel,
+    text: "오늘의 데일리 테크 뉴스입니다!",
+    blocks: simpleBlocks,
+    unfurl_links: false,
+    unfurl_media: false,
+  });
+  if (newsItems.length > 0) {
+    discussions.trackDigest(channel, digestMessage.ts, newsItems);
+  }
+
+  // 뉴스별 반응을 받을 수 있도록 스레드에 한 개씩 다시 게시
+  for (const item of newsItems) {
     try {
-      await client.chat.postMessage({
+      const itemMessage = await app.client.chat.postMessage({
         token: process.env.SLACK_BOT_TOKEN,
-        channel: event.channel,
-        text: "😭 죄송합니다. 요청을 처리하는 중 오류가 발생했습니다.",
+        channel,
+        thread_ts: digestMessage.ts,
+        text: item.title,
+        blocks: formatNewsItem(item),
         unfurl_links: false,
         unfurl_media: false,
       });
-    } catch (fallbackError) {
-      console.error(`❌ 폴백 메시지 전송 실패:`, fallbackError);
+      feedback.trackMessage(channel, itemMessage.ts, item);
+    } catch (error) {
+      logger.error(`❌ 피드백용 뉴스 게시 실패 (${item.link}):`, {
+        correlationId,
+        error,
+      });
     }
   }
-});
 
-app.action("load_older_news", async ({action, ack, respond}) => {
-  await ack();
+  markSent(channel, newsItems);
 
-  console.log(`🔧 [load_older_news] 버튼 클릭됨, value: ${action.value}`);
+  return {
+    profile: profile.name,
+    sentCount: newsItems.length,
+    message: `뉴스가 성공적으로 전송되었습니다. (${newsItems.length}개)`,
+  };
+}
 
-  try {
-    // value 형식: sessionId_offset
-    const parts = action.value.split("_");
-    const offset = parseInt(parts[parts.length - 1], 10);
-    const sessionId = parts.slice(0, -1).join("_");
+/**
+ * 데일리 다이제스트 전송 함수 (프로필 하나 또는 전체)
+ * @param {string|null} profileName - 전송할 프로필 이름 (없으면 모든 프로필)
+ * @param {Object} options - 전송 옵션
+ * @param {string} options.correlationId - 트리거 요청/스케줄 실행의 로그 추적용 ID
+ * @returns {Array} 프로필별 전송 결과
+ */
+async function postDailyDigest(profileName = null, options = {}) {
+  const {correlationId} = options;
+  const log = logger.child({correlationId});
+  const profiles = profileName
+    ? [digestProfiles.getProfile(profileName)].filter(Boolean)
+    : digestProfiles.getProfiles();
+
+  if (profiles.length === 0) {
+    throw new Error(`다이제스트 프로필을 찾을 수 없습니다: ${profileName}`);
+  }
 
-    // 세션 가져오기
-    let session = getSession(sessionId);
+  const allNews = await fetchAllNews({correlationId});
 
-    // 세션이 없으면 오류 메시지 표시
-    if (!session) {
-      await respond({
-        replace_original: true,
-        text: "❌ 세션이 만료되었습니다. 다시 검색하거나 뉴스를 불러와주세요.",
+  if (allNews.length === 0) {
+    log.info("⚠️ 표시할 뉴스가 없습니다.");
+    return profiles.map((profile) => ({
+      profile: profile.name,
+      sentCount: 0,
+      message: "표시할 뉴스가 없습니다.",
+    }));
+  }
+
+  const results = [];
+  for (const profile of profiles) {
+    try {
+      const result = await postDigestForProfile(
+        profile,
+        allNews,
+        correlationId
+      );
+      log.info(`✅ [${profile.name}] ${result.message}`, {
+        profile: profile.name,
+        sentCount: result.sentCount,
       });
-    } else {
-      const newsItems = session.items.slice(offset, offset + 5);
+      results.push(result);
+    } catch (error) {
+      log.error(`❌ [${profile.name}] 다이제스트 전송 실패:`, {
+        profile: profile.name,
+        error,
+      });
+      results.push({
+        profile: profile.name,
+        sentCount: 0,
+        error: error.message,
+      });
+    }
+  }
 
-      if (newsItems.length === 0) {
-        await respond({
-          response_type: "ephemeral",
-          text: "📰 더 이상 표시할 뉴스가 없습니다.",
-        });
-        return;
-      }
+  return results;
+}
 
-      const newBlocks = formatNewsToBlocks(newsItems, offset, sessionId);
+// 트리거 요청 본문 최대 크기 (인증 전에 읽으므로 작게 제한)
+const MAX_REQUEST_BODY_BYTES = 64 * 1024;
 
-      await respond({
-        replace_original: true,
-        text: `이전 테크 뉴스입니다! (${offset + 1}-${
-          offset + newsItems.length
-        })`,
-        blocks: newBlocks,
-      });
+/**
+ * HTTP 요청 본문 읽기 함수 (최대 크기를 넘으면 statusCode 413 오류)
+ * @param {http.IncomingMessage} req - HTTP 요청
+ * @param {number} maxBytes - 허용할 최대 바이트 수
+ * @returns {Promise<string>} 요청 본문
+ */
+function readRequestBody(req, maxBytes = MAX_REQUEST_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      const error = new Error(`요청 본문이 너무 큽니다. (최대 ${maxBytes}바이트)`);
+      error.statusCode = 413;
+      reject(error);
+    };
+
+    if (parseInt(req.headers["content-length"], 10) > maxBytes) {
+      tooLarge();
+      return;
     }
 
-    console.log(`✅ [load_older_news] 처리 완료 (offset: ${offset})`);
-  } catch (error) {
-    console.error(`❌ [load_older_news] 처리 중 오류:`, error);
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // 나머지 본문은 읽지 않음 (응답 후 연결 종료)
+        req.removeAllListeners("data");
+        req.pause();
+        tooLarge();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
 
-    try {
-      await respond({
-        response_type: "ephemeral",
-        text: "😭 뉴스를 불러오는 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
-      });
-    } catch (respondError) {
-      console.error(`❌ 에러 응답 전송 실패:`, respondError);
+/**
+ * 트리거 요청 본문 읽기 함수 (너무 크면 413 응답 후 연결을 끊고 null 반환)
+ * @param {http.IncomingMessage} req - HTTP 요청
+ * @param {http.ServerResponse} res - HTTP 응답
+ * @returns {Promise<string|null>} 요청 본문
+ */
+async function readTriggerBody(req, res) {
+  try {
+    return await readRequestBody(req);
+  } catch (error) {
+    if (error.statusCode !== 413) {
+      throw error;
     }
+
+    logger.warn(
+      `🚫 본문이 너무 큰 ${req.url} 요청 (${
+        req.headers["x-forwarded-for"] || req.socket.remoteAddress
+      })`
+    );
+    res.writeHead(413, {
+      "Content-Type": "application/json",
+      Connection: "close",
+    });
+    res.end(JSON.stringify({success: false, error: error.message}), () =>
+      req.destroy()
+    );
+    return null;
+  }
+}
+
+/**
+ * 다이제스트 요청에서 프로필 이름 추출 함수 (?profile= 또는 JSON 본문의 profile)
+ * @param {URL} requestUrl - 요청 URL
+ * @param {string} body - 요청 본문
+ * @returns {string|null} 프로필 이름
+ */
+function getRequestedProfile(requestUrl, body) {
+  if (requestUrl.searchParams.get("profile")) {
+    return requestUrl.searchParams.get("profile");
   }
-});
 
-app.action("load_first_news", async ({action, ack, respond}) => {
-  await ack();
+  try {
+    const profile = body ? JSON.parse(body).profile : null;
+    return profile ? String(profile) : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-  console.log(`🔧 [load_first_news] 버튼 클릭됨, value: ${action.value}`);
-  const offset = 0; // 항상 첫 페이지
+/**
+ * 트리거 요청 인증 함수 (실패하면 401 응답 후 null 반환)
+ * @param {http.IncomingMessage} req - HTTP 요청
+ * @param {http.ServerResponse} res - HTTP 응답
+ * @param {string} body - 요청 본문
+ * @returns {Promise<Object|null>} 인증 결과
+ */
+async function authorizeTrigger(req, res, body) {
+  const auth = await authorizeDigestRequest(req, body);
+  if (auth.authorized) {
+    return auth;
+  }
 
-  try {
-    // value 형식: sessionId_0
-    const parts = action.value.split("_");
-    const sessionId = parts.slice(0, -1).join("_");
+  logger.warn(
+    `🚫 인증되지 않은 ${req.url} 요청 (${
+      req.headers["x-forwarded-for"] || req.socket.remoteAddress
+    }): ${auth.reason}`
+  );
+  res.writeHead(401, {"Content-Type": "application/json"});
+  res.end(JSON.stringify({success: false, error: "Unauthorized"}));
+  return null;
+}
 
-    // 세션 가져오기
-    let session = getSession(sessionId);
+// 뉴스 수집 중 503 응답에 넣을 재시도 대기 시간 (초)
+const NEWS_LOADING_RETRY_AFTER_SECONDS = 30;
 
-    // 세션이 없으면 오류 메시지 표시
-    if (!session) {
-      await respond({
-        replace_original: true,
-        text: "❌ 세션이 만료되었습니다. 다시 검색하거나 뉴스를 불러와주세요.",
-      });
-    } else {
-      const newsItems = session.items.slice(0, 5);
+/**
+ * 수집이 진행 중이라 보여줄 뉴스가 없는지 확인하는 함수
+ * (메모리 캐시는 갱신 중에 빈 목록을 반환하므로 빈 결과를 그대로 내보내지 않기 위함)
+ * @param {Array} items - 불러온 뉴스 목록
+ * @returns {boolean} 수집 중이고 뉴스가 없으면 true
+ */
+function isNewsUnavailable(items) {
+  return items.length === 0 && isLoadingNews();
+}
 
-      if (newsItems.length === 0) {
-        await respond({
-          response_type: "ephemeral",
-          text: "😭 뉴스를 불러오는 데 실패했습니다. 잠시 후 다시 시도해주세요.",
-        });
+/**
+ * 공개 주소 (FEED_BASE_URL, 없으면 요청의 Host / X-Forwarded-Proto 헤더)
+ * @param {http.IncomingMessage} req - HTTP 요청
+ * @returns {string} "https://example.com" 형식의 주소
+ */
+function getPublicBaseUrl(req) {
+  if (process.env.FEED_BASE_URL) {
+    return process.env.FEED_BASE_URL.replace(/\/+$/, "");
+  }
+  const protocol = (req.headers["x-forwarded-proto"] || "http").split(",")[0];
+  return `${protocol}://${req.headers.host || "localhost"}`;
+}
+
+/**
+ * 통합 뉴스 피드 응답 (RSS 2.0 / Atom / JSON Feed)
+ * ?source=로 소스, ?q=로 /뉴스검색과 같은 문법의 검색 조건 지정
+ * @param {http.IncomingMessage} req - HTTP 요청
+ * @param {http.ServerResponse} res - HTTP 응답
+ * @param {URL} requestUrl - 요청 URL
+ */
+async function handleFeedRequest(req, res, requestUrl) {
+  try {
+    const source = requestUrl.searchParams.get("source");
+    const keyword = requestUrl.searchParams.get("q");
+
+    let items;
+    if (keyword) {
+      let query;
+      try {
+        query = parseSearchQuery(keyword);
+      } catch (error) {
+        res.writeHead(400, {"Content-Type": "text/plain; charset=utf-8"});
+        res.end(`Bad Request: ${error.message}`);
         return;
       }
+      items = await searchNews(query);
+    } else {
+      items = await fetchAllNews();
+    }
 
-      const newBlocks = formatNewsToBlocks(newsItems, offset, sessionId);
-
-      await respond({
-        replace_original: true,
-        text: "최신 테크 뉴스입니다!",
-        blocks: newBlocks,
+    // 첫 수집 중이라 보여줄 뉴스가 없으면 빈 피드가 캐시되지 않도록 503
+    if (isNewsUnavailable(items)) {
+      res.writeHead(503, {
+        "Content-Type": "text/plain; charset=utf-8",
+        "Retry-After": String(NEWS_LOADING_RETRY_AFTER_SECONDS),
+        "Cache-Control": "no-store",
       });
+      res.end("Service Unavailable: 뉴스를 불러오는 중입니다.");
+      return;
     }
 
-    console.log(`✅ [load_first_news] 처리 완료`);
-  } catch (error) {
-    console.error(`❌ [load_first_news] 처리 중 오류:`, error);
+    const feed = renderFeed(
+      requestUrl.pathname,
+      filterBySource(items, source),
+      {
+        baseUrl: getPublicBaseUrl(req),
+        search: requestUrl.search,
+        label: [source && `source:${source}`, keyword]
+          .filter(Boolean)
+          .join(" "),
+        refreshedAt: getCacheStatus().lastRefreshedAt,
+      }
+    );
 
-    try {
-      await respond({
-        response_type: "ephemeral",
-        text: "😭 뉴스를 불러오는 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.",
-      });
-    } catch (respondError) {
-      console.error(`❌ 에러 응답 전송 실패:`, respondError);
+    const headers = {
+      ETag: feed.etag,
+      "Last-Modified": feed.lastModified,
+      "Cache-Control": "public, max-age=300",
+    };
+    if (isNotModified(req.headers, feed)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
     }
+
+    res.writeHead(200, {...headers, "Content-Type": feed.contentType});
+    res.end(feed.body);
+  } catch (error) {
+    logger.error(`❌ 피드 생성 중 오류 (${requestUrl.pathname}):`, {error});
+    res.writeHead(500, {"Content-Type": "text/plain; charset=utf-8"});
+    res.end("Internal Server Error");
   }
-});
+}
 
-app.action("load_more_extended", async ({action, ack, respond}) => {
-  await ack();
+// REST API 페이지 크기 (기본값 / 최대값)
+const API_DEFAULT_LIMIT = 20;
+const API_MAX_LIMIT = 100;
 
-  console.log(`🔧 [load_more_extended] 버튼 클릭됨, value: ${action.value}`);
+/**
+ * JSON 응답 전송 함수
+ * @param {http.ServerResponse} res - HTTP 응답
+ * @param {number} status - HTTP 상태 코드
+ * @param {Object} payload - 응답 본문
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, {"Content-Type": "application/json; charset=utf-8"});
+  res.end(JSON.stringify(payload));
+}
 
-  try {
-    const parts = action.value.split("_");
-    const offset = parseInt(parts[parts.length - 1], 10);
-    const sessionId = parts.slice(0, -1).join("_");
+/**
+ * 뉴스 수집 중 503 응답 (Retry-After 포함)
+ * @param {http.ServerResponse} res - HTTP 응답
+ */
+function sendLoading(res) {
+  res.writeHead(503, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Retry-After": String(NEWS_LOADING_RETRY_AFTER_SECONDS),
+  });
+  res.end(
+    JSON.stringify({success: false, error: "뉴스를 불러오는 중입니다."})
+  );
+}
 
-    const session = newsSessions.get(sessionId);
-    if (!session) {
-      await respond({
-        response_type: "ephemeral",
-        text: "😭 세션이 만료되었습니다. 다시 시도해주세요.",
-      });
-      return;
+/**
+ * ?limit= / ?offset= 파싱 (잘못된 값이면 오류)
+ * @param {URLSearchParams} params - 쿼리 파라미터
+ * @returns {Object} {limit, offset}
+ */
+function parsePagination(params) {
+  const parse = (name, defaultValue) => {
+    const value = params.get(name);
+    if (value === null || value === "") return defaultValue;
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`${name}는 0 이상의 정수여야 합니다.`);
     }
+    return parseInt(value, 10);
+  };
 
-    const itemsPerPage = 5;
-    const newsItems = session.items.slice(offset, offset + itemsPerPage);
+  const limit = parse("limit", API_DEFAULT_LIMIT);
+  if (limit < 1 || limit > API_MAX_LIMIT) {
+    throw new Error(`limit는 1~${API_MAX_LIMIT} 사이여야 합니다.`);
+  }
+  return {limit, offset: parse("offset", 0)};
+}
 
-    const blocks = createNewsBlocks({
-      items: newsItems,
-      offset,
-      sessionId,
-      headerText: `📰 다음 테크 뉴스입니다! (${offset + 1}-${
-        offset + newsItems.length
-      }/${session.items.length})`,
-      totalItems: session.items.length,
-    });
+/**
+ * 페이지 단위 응답 본문
+ * @param {Array} items - 전체 뉴스 목록
+ * @param {Object} pagination - {limit, offset}
+ * @param {Object} extra - 응답에 함께 담을 값
+ * @returns {Object} {success, data, pagination, ...extra}
+ */
+function paginate(items, {limit, offset}, extra = {}) {
+  const nextOffset = offset + limit < items.length ? offset + limit : null;
+  return {
+    success: true,
+    ...extra,
+    data: items.slice(offset, offset + limit).map((item) => ({
+      title: item.title,
+      link: item.link,
+      source: item.source,
+      alsoOn: item.alsoOn || [],
+      publishedAt: item.isoDate || item.pubDate || null,
+      categories: item.categories || [],
+      summary: item.summary || null,
+    })),
+    pagination: {total: items.length, limit, offset, nextOffset},
+  };
+}
 
-    await respond({
-      replace_original: true,
-      text: "확장된 뉴스 목록",
-      blocks: blocks,
-    });
+/**
+ * 읽기 전용 REST API 처리 (API_KEYS의 키로 인증)
+ * GET /api/news?limit=&offset=&source=, GET /api/search?q=, GET /api/status
+ * @param {http.IncomingMessage} req - HTTP 요청
+ * @param {http.ServerResponse} res - HTTP 응답
+ * @param {URL} requestUrl - 요청 URL
+ */
+async function handleApiRequest(req, res, requestUrl) {
+  const auth = authorizeApiRequest(req);
+  if (!auth.authorized) {
+    logger.warn(
+      `🚫 인증되지 않은 ${req.url} 요청 (${
+        req.headers["x-forwarded-for"] || req.socket.remoteAddress
+      }): ${auth.reason}`
+    );
+    sendJson(res, 401, {success: false, error: "Unauthorized"});
+    return;
+  }
+  logger.info(`🔑 API 요청: ${req.url} (키 #${auth.keyIndex + 1})`);
+
+  const params = requestUrl.searchParams;
+  const {pathname} = requestUrl;
 
-    console.log(`✅ [load_more_extended] 처리 완료 (offset: ${offset})`);
+  if (!["/api/news", "/api/search", "/api/status"].includes(pathname)) {
+    sendJson(res, 404, {success: false, error: "Not Found"});
+    return;
+  }
+
+  // 파라미터와 검색어는 뉴스를 불러오기 전에 검증 (잘못된 요청은 400)
+  let pagination;
+  let query = null;
+  try {
+    pagination = parsePagination(params);
+    if (pathname === "/api/search") {
+      const keyword = (params.get("q") || "").trim();
+      if (!keyword) {
+        throw new Error("q 파라미터가 필요합니다.");
+      }
+      query = parseSearchQuery(keyword);
+    }
   } catch (error) {
-    console.error(`❌ [load_more_extended] 처리 중 오류:`, error);
-    await respond({
-      response_type: "ephemeral",
-      text: "😭 오류가 발생했습니다.",
-    });
+    sendJson(res, 400, {success: false, error: error.message});
+    return;
   }
-});
 
-// Creating a simple web server to respond to health checks
-const server = http.createServer(async (req, res) => {
-  if (
-    req.method === "POST" &&
-    req.headers.host &&
-    req.headers.host.includes("daily-geek-news-bot")
-  ) {
-    console.log("🚀 Cloud Scheduler로부터 데일리 뉴스 전송 요청을 받았습니다.");
+  try {
+    if (pathname === "/api/status") {
+      sendJson(res, 200, {success: true, data: getCacheStatus()});
+    } else if (pathname === "/api/news") {
+      const allNews = await fetchAllNews();
+      if (isNewsUnavailable(allNews)) {
+        sendLoading(res);
+        return;
+      }
+      const items = filterBySource(allNews, params.get("source"));
+      sendJson(res, 200, paginate(items, pagination));
+    } else {
+      const items = await searchNews(query);
+      if (isNewsUnavailable(items)) {
+        sendLoading(res);
+        return;
+      }
+      sendJson(
+        res,
+        200,
+        paginate(items, pagination, {
+          query: query.text,
+          filters: describeSearchQuery(query),
+        })
+      );
+    }
+  } catch (error) {
+    logger.error(`❌ API 처리 중 오류 (${req.url}):`, {error});
+    sendJson(res, 500, {success: false, error: "Internal Server Error"});
+  }
+}
+
+/**
+ * HTTP 요청 라우팅 함수 (트리거, 피드, API, 지표, 헬스 체크)
+ * @param {http.IncomingMessage} req - HTTP 요청
+ * @param {http.ServerResponse} res - HTTP 응답
+ * @param {URL} requestUrl - 요청 URL
+ */
+async function routeHttpRequest(req, res, requestUrl) {
+
+  // 다이제스트 전송 트리거 (HMAC 서명 또는 OIDC 토큰 인증 필요)
+  if (req.method === "POST" && requestUrl.pathname === "/digest") {
+    const correlationId = createCorrelationId();
+    const log = logger.child({correlationId});
 
     try {
-      let newsItems = await fetchAllNews(5);
+      const body = await readTriggerBody(req, res);
+      if (body === null) {
+        return;
+      }
 
-      if (newsItems.length === 0) {
-        console.log("⚠️ 표시할 뉴스가 없습니다.");
-        res.writeHead(200, {"Content-Type": "application/json"});
+      const auth = await authorizeTrigger(req, res, body);
+      if (!auth) {
+        return;
+      }
+
+      log.info(
+        `🚀 데일리 뉴스 전송 요청을 받았습니다. (인증: ${auth.method})`
+      );
+
+      // 없는 프로필이면 전송하지 않고 404 (오타를 서버 오류로 보고하지 않도록)
+      const profileName = getRequestedProfile(requestUrl, body);
+      if (profileName && !digestProfiles.getProfile(profileName)) {
+        log.warn(`⚠️ 다이제스트 프로필을 찾을 수 없습니다: ${profileName}`);
+        res.writeHead(404, {"Content-Type": "application/json"});
         res.end(
           JSON.stringify({
-            success: true,
-            message: "표시할 뉴스가 없습니다.",
+            success: false,
+            error: `다이제스트 프로필을 찾을 수 없습니다: ${profileName}`,
           })
         );
         return;
       }
 
-      const simpleBlocks = [
-        {
-          type: "header",
-          text: {
-            type: "plain_text",
-            text: `📰 Daily Tech News - ${new Date().toLocaleDateString(
-              "ko-KR"
-            )}`,
-            emoji: true,
-          },
-        },
-        {type: "divider"},
-      ];
-
-      newsItems.forEach((item) => {
-        simpleBlocks.push(formatNewsItem(item));
-      });
-
-      const countText = `최신 뉴스: ${newsItems.length}개`;
-
-      simpleBlocks.push(
-        {type: "divider"},
-        {
-          type: "context",
-          elements: [
-            {
-              type: "mrkdwn",
-              text: `\`daily-geek-news-bot\`이 전해드렸습니다. ✨ (${countText})`,
-            },
-          ],
-        }
-      );
+      // 공휴일에는 전송하지 않음 (?force=true로 강제 전송 가능)
+      const force = requestUrl.searchParams.get("force");
+      const holidayName = getHolidayName(new Date(), DEFAULT_TIMEZONE);
+      if (holidayName && force !== "true") {
+        log.info(`🏖️ 공휴일(${holidayName})이라 다이제스트를 건너뜁니다.`);
+        res.writeHead(200, {"Content-Type": "application/json"});
+        res.end(
+          JSON.stringify({success: true, skipped: true, holiday: holidayName})
+        );
+        return;
+      }
 
-      await app.client.chat.postMessage({
-        token: process.env.SLACK_BOT_TOKEN,
-        channel: process.env.SLACK_TARGET_CHANNEL,
-        text: "오늘의 데일리 테크 뉴스입니다!",
-        blocks: simpleBlocks,
-        unfurl_links: false,
-        unfurl_media: false,
-      });
+      const results = await postDailyDigest(profileName, {correlationId});
 
       res.writeHead(200, {"Content-Type": "application/json"});
       res.end(
         JSON.stringify({
-          success: true,
-          message: `뉴스가 성공적으로 전송되었습니다. (${newsItems.length}개)`,
+          success: results.every((result) => !result.error),
+          correlationId,
+          results,
         })
       );
-      console.log(
-        `✅ 뉴스가 성공적으로 전송되었습니다. (${newsItems.length}개)`
-      );
     } catch (error) {
-      console.error("❌ 뉴스 전송 중 오류가 발생했습니다:", error);
+      log.error("❌ 뉴스 전송 중 오류가 발생했습니다:", {error});
+      res.writeHead(500, {"Content-Type": "application/json"});
+      res.end(JSON.stringify({success: false, error: error.message}));
+    }
+    return;
+  }
+
+  // 주간 트렌드 리포트 트리거 (다이제스트와 같은 인증 사용)
+  if (req.method === "POST" && requestUrl.pathname === "/trend-report") {
+    try {
+      const body = await readTriggerBody(req, res);
+      if (body === null) {
+        return;
+      }
+
+      const auth = await authorizeTrigger(req, res, body);
+      if (!auth) {
+        return;
+      }
+
+      const result = await postTrendReport();
+
+      res.writeHead(200, {"Content-Type": "application/json"});
+      res.end(JSON.stringify({success: true, ...result}));
+    } catch (error) {
+      logger.error("❌ 트렌드 리포트 전송 중 오류가 발생했습니다:", {error});
+      res.writeHead(500, {"Content-Type": "application/json"});
+      res.end(JSON.stringify({success: false, error: error.message}));
+    }
+    return;
+  }
+
+  if (req.method === "POST" && requestUrl.pathname === "/discussion-counts") {
+    try {
+      const body = await readTriggerBody(req, res);
+      if (body === null) {
+        return;
+      }
+
+      const auth = await authorizeTrigger(req, res, body);
+      if (!auth) {
+        return;
+      }
+
+      const result = await updateDiscussionCounts();
+
+      res.writeHead(200, {"Content-Type": "application/json"});
+      res.end(JSON.stringify({success: true, ...result}));
+    } catch (error) {
+      logger.error("❌ 토론 댓글 수 갱신 중 오류가 발생했습니다:", {error});
       res.writeHead(500, {"Content-Type": "application/json"});
       res.end(JSON.stringify({success: false, error: error.message}));
     }
     return;
   }
 
+  // 읽기 전용 REST API (API 키 필요)
+  if (req.method === "GET" && requestUrl.pathname.startsWith("/api/")) {
+    await handleApiRequest(req, res, requestUrl);
+    return;
+  }
+
+  // 통합 뉴스 피드 (/feed.xml, /atom.xml, /feed.json)
+  if (req.method === "GET" && FEED_FORMATS[requestUrl.pathname]) {
+    await handleFeedRequest(req, res, requestUrl);
+    return;
+  }
+
+  // Prometheus 지표
+  if (req.method === "GET" && requestUrl.pathname === "/metrics") {
+    try {
+      const body = await metrics.getMetrics();
+      res.writeHead(200, {"Content-Type": metrics.contentType});
+      res.end(body);
+    } catch (error) {
+      logger.error("❌ 지표 생성 중 오류가 발생했습니다:", {error});
+      res.writeHead(500, {"Content-Type": "text/plain"});
+      res.end("Internal Server Error");
+    }
+    return;
+  }
+
   // Health check endpoint
-  if (req.method === "GET" && req.url === "/health") {
+  if (req.method === "GET" && requestUrl.pathname === "/health") {
     res.writeHead(200, {"Content-Type": "text/plain"});
     res.end("OK");
     return;
@@ -994,23 +4291,85 @@ const server = http.createServer(async (req, res) => {
   // 404 처리
   res.writeHead(404, {"Content-Type": "text/plain"});
   res.end("Not Found");
+}
+
+// Creating a simple web server to respond to health checks
+const server = http.createServer(async (req, res) => {
+  try {
+    // 잘못된 요청 대상(예: "//[")은 URL 파싱에서 오류가 나므로 400
+    let requestUrl;
+    try {
+      requestUrl = new URL(req.url, "http://localhost");
+    } catch (error) {
+      res.writeHead(400, {"Content-Type": "text/plain"});
+      res.end("Bad Request");
+      return;
+    }
+
+    await routeHttpRequest(req, res, requestUrl);
+  } catch (error) {
+    // 처리되지 않은 오류로 프로세스가 종료되지 않도록 여기서 응답을 마무리
+    logger.error(`❌ HTTP 요청 처리 중 오류 (${req.method} ${req.url}):`, {
+      error,
+    });
+    if (!res.headersSent) {
+      res.writeHead(500, {"Content-Type": "text/plain"});
+    }
+    res.end();
+  }
 });
 
+/**
+ * 프로세스 내 스케줄러 시작 함수 (DIGEST_SCHEDULER_ENABLED=true일 때)
+ * 외부 Cloud Scheduler POST 요청 대신 사용할 수 있음
+ */
+function startSchedulers() {
+  if (process.env.DIGEST_SCHEDULER_ENABLED !== "true") {
+    logger.info(
+      "⏰ 내장 스케줄러 비활성화 - 외부 트리거(POST)로만 전송합니다."
+    );
+    return;
+  }
+
+  scheduleJob(
+    "daily-digest",
+    process.env.DIGEST_SCHEDULE || "0 9 * * 1-5",
+    ({correlationId}) => postDailyDigest(null, {correlationId}),
+    {skipHolidays: true}
+  );
+
+  // 주간 트렌드 리포트 (기본값: 매주 월요일 오전 10시)
+  scheduleJob(
+    "weekly-trend-report",
+    process.env.TREND_REPORT_SCHEDULE || "0 10 * * 1",
+    () => postTrendReport()
+  );
+
+  // 토론 댓글 수 갱신 (기본값: 매일 오후 11시 50분)
+  scheduleJob(
+    "discussion-reply-counts",
+    process.env.DISCUSSION_COUNT_SCHEDULE || "50 23 * * *",
+    () => updateDiscussionCounts()
+  );
+}
+
 async function startApp() {
   try {
     await app.start();
-    console.log("⚡️ Daily Geek News Bot이 소켓 모드로 실행 중입니다!");
+    logger.info("⚡️ Daily Geek News Bot이 소켓 모드로 실행 중입니다!");
 
     await new Promise((resolve) => setTimeout(resolve, 2000));
-    console.log("🔗 Socket Mode 연결이 안정화되었습니다.");
-    console.log("☁️ Cloud Run 환경에서 실행 중 - 온디맨드 캐싱 활성화");
+    logger.info("🔗 Socket Mode 연결이 안정화되었습니다.");
+    logger.info("☁️ Cloud Run 환경에서 실행 중 - 온디맨드 캐싱 활성화");
 
     const port = process.env.PORT || 8080;
     server.listen(port, () => {
-      console.log(`🏥 헬스 체크 서버가 포트 ${port}에서 실행 중입니다.`);
+      logger.info(`🏥 헬스 체크 서버가 포트 ${port}에서 실행 중입니다.`);
     });
+
+    startSchedulers();
   } catch (error) {
-    console.error("❌ 앱 시작 중 오류 발생:", error);
+    logger.error("❌ 앱 시작 중 오류 발생:", {error});
     process.exit(1);
   }
 }
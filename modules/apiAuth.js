@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+
+// 허용할 API 키 목록 (API_KEYS=키1,키2 - 비어 있으면 REST API 비활성화)
+function getApiKeys() {
+  return (process.env.API_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+}
+
+// 길이가 달라도 비교 시간이 같도록 해시끼리 비교
+function safeEqual(a, b) {
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// 요청 헤더의 API 키 (Authorization: Bearer <키> 또는 X-API-Key: <키>)
+function getRequestKey(req) {
+  const authorization = req.headers.authorization || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return (req.headers["x-api-key"] || "").trim();
+}
+
+// REST API 요청 인증
+// 반환: {authorized, reason} - 성공하면 keyIndex(몇 번째 키인지, 로그용)
+function authorizeApiRequest(req) {
+  const keys = getApiKeys();
+  if (keys.length === 0) {
+    return {authorized: false, reason: "API_KEYS가 설정되지 않음"};
+  }
+
+  const requestKey = getRequestKey(req);
+  if (!requestKey) {
+    return {authorized: false, reason: "API 키 헤더 없음"};
+  }
+
+  // 모든 키와 비교해 어느 키에서 일치했는지 응답 시간으로 드러나지 않도록 함
+  let keyIndex = -1;
+  keys.forEach((key, index) => {
+    if (safeEqual(requestKey, key) && keyIndex === -1) {
+      keyIndex = index;
+    }
+  });
+
+  if (keyIndex === -1) {
+    return {authorized: false, reason: "API 키 불일치"};
+  }
+  return {authorized: true, keyIndex};
+}
+
+module.exports = {
+  authorizeApiRequest,
+};
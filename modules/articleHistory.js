@@ -0,0 +1,103 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {getUrlKey} = require("./dedup");
+const {logger} = require("./logger");
+
+const HISTORY_FILE = process.env.ARTICLE_HISTORY_FILE || "article-history.json";
+// 수집 기록 보관 기간 (주간 비교를 위해 최소 2주 이상)
+const RETENTION_DAYS = Math.max(
+  14,
+  parseInt(process.env.ARTICLE_HISTORY_RETENTION_DAYS, 10) || 28
+);
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// 요약 보관 최대 길이
+const MAX_SNIPPET_LENGTH = 500;
+
+// 수집한 글 기록: {urlKey: {title, link, source, contentSnippet, categories, publishedAt, firstSeenAt}}
+let articles = null;
+
+function loadArticles() {
+  if (!articles) {
+    articles = readJson(HISTORY_FILE, {});
+  }
+  return articles;
+}
+
+function saveArticles() {
+  try {
+    writeJson(HISTORY_FILE, articles);
+  } catch (error) {
+    logger.error(`❌ [수집 기록] 저장 실패: ${error.message}`);
+  }
+}
+
+// 글의 기준 시각 (발행 시각, 없으면 처음 수집한 시각)
+function getArticleDate(article) {
+  const published = new Date(article.publishedAt || NaN);
+  return isNaN(published) ? new Date(article.firstSeenAt) : published;
+}
+
+// 보관 기간이 지난 기록 정리 (삭제한 개수 반환)
+function pruneArticles() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, article] of Object.entries(loadArticles())) {
+    if (now - getArticleDate(article).getTime() > RETENTION_MS) {
+      delete articles[key];
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// 새로 수집한 글 기록 (캐시 TTL과 관계없이 보관 기간 동안 유지)
+function recordArticles(items) {
+  const stored = loadArticles();
+  const firstSeenAt = new Date().toISOString();
+  let added = 0;
+
+  for (const item of items) {
+    const key = getUrlKey(item.link);
+    if (!key || stored[key]) continue;
+
+    stored[key] = {
+      title: item.title,
+      link: item.link,
+      source: item.source,
+      contentSnippet: (item.contentSnippet || "").slice(0, MAX_SNIPPET_LENGTH),
+      categories: item.categories || [],
+      publishedAt: item.isoDate || item.pubDate || null,
+      firstSeenAt,
+    };
+    added++;
+  }
+
+  const removed = pruneArticles();
+  if (added > 0 || removed > 0) {
+    saveArticles();
+    logger.info(`🗄️ [수집 기록] ${added}개 추가, ${removed}개 정리`);
+  }
+}
+
+// 글을 처음 수집한 시각 (기록이 없으면 null)
+function getFirstSeenAt(link) {
+  const article = loadArticles()[getUrlKey(link)];
+  return article ? new Date(article.firstSeenAt) : null;
+}
+
+// 기간 안의 글 목록 (from 이후 ~ to 이전, 최신순)
+function getArticlesBetween(from, to) {
+  return Object.values(loadArticles())
+    .filter((article) => {
+      const date = getArticleDate(article);
+      return date > from && date <= to;
+    })
+    .sort((a, b) => getArticleDate(b) - getArticleDate(a));
+}
+
+module.exports = {
+  getArticleDate,
+  recordArticles,
+  getFirstSeenAt,
+  getArticlesBetween,
+};
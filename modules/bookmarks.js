@@ -0,0 +1,119 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {getUrlKey} = require("./dedup");
+const {logger} = require("./logger");
+
+const BOOKMARKS_FILE = process.env.BOOKMARKS_FILE || "bookmarks.json";
+
+// 사용자별 최대 북마크 수
+const MAX_BOOKMARKS = 500;
+
+// 사용자별 북마크: {userId: [{link, title, source, publishedAt, savedAt, read}]}
+let bookmarksByUser = null;
+
+function loadBookmarks() {
+  if (!bookmarksByUser) {
+    bookmarksByUser = readJson(BOOKMARKS_FILE, {});
+  }
+  return bookmarksByUser;
+}
+
+function saveBookmarks() {
+  try {
+    writeJson(BOOKMARKS_FILE, bookmarksByUser);
+  } catch (error) {
+    logger.error(`❌ [북마크] 저장 실패: ${error.message}`);
+  }
+}
+
+function findIndex(list, link) {
+  const key = getUrlKey(link);
+  return list.findIndex((bookmark) => getUrlKey(bookmark.link) === key);
+}
+
+// 북마크 목록 (최근 저장한 순)
+function getBookmarks(userId) {
+  return loadBookmarks()[userId] || [];
+}
+
+// 북마크 추가 (이미 저장된 글이면 false 반환)
+function addBookmark(userId, item) {
+  const store = loadBookmarks();
+  const list = store[userId] || (store[userId] = []);
+
+  if (findIndex(list, item.link) !== -1) {
+    return false;
+  }
+  if (list.length >= MAX_BOOKMARKS) {
+    throw new Error(
+      `북마크는 최대 ${MAX_BOOKMARKS}개까지 저장할 수 있습니다. 읽은 글을 삭제한 뒤 다시 시도해주세요.`
+    );
+  }
+
+  list.unshift({
+    link: item.link,
+    title: item.title,
+    source: item.source || null,
+    publishedAt: item.publishedAt || null,
+    savedAt: new Date().toISOString(),
+    read: false,
+  });
+  saveBookmarks();
+  return true;
+}
+
+// 북마크 삭제 (삭제한 북마크 반환, 없으면 null)
+function removeBookmark(userId, link) {
+  const list = getBookmarks(userId);
+  const index = findIndex(list, link);
+  if (index === -1) return null;
+
+  const [removed] = list.splice(index, 1);
+  saveBookmarks();
+  return removed;
+}
+
+// 읽음 상태 전환 (변경된 북마크 반환, 없으면 null)
+function toggleRead(userId, link) {
+  const list = getBookmarks(userId);
+  const index = findIndex(list, link);
+  if (index === -1) return null;
+
+  list[index].read = !list[index].read;
+  saveBookmarks();
+  return list[index];
+}
+
+// 북마크 목록을 Markdown으로 변환 (안 읽은 글 / 읽은 글 구분)
+function exportMarkdown(userId) {
+  const list = getBookmarks(userId);
+  const formatEntry = (bookmark) => {
+    const check = bookmark.read ? "x" : " ";
+    const title = bookmark.title.replace(/[[\]]/g, "");
+    const source = bookmark.source ? ` - ${bookmark.source}` : "";
+    const savedDate = bookmark.savedAt.slice(0, 10);
+    return `- [${check}] [${title}](${bookmark.link})${source} (저장: ${savedDate})`;
+  };
+
+  const unread = list.filter((bookmark) => !bookmark.read);
+  const read = list.filter((bookmark) => bookmark.read);
+
+  return [
+    "# 📚 읽기 목록",
+    "",
+    `## 안 읽은 글 (${unread.length})`,
+    ...unread.map(formatEntry),
+    "",
+    `## 읽은 글 (${read.length})`,
+    ...read.map(formatEntry),
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  MAX_BOOKMARKS,
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+  toggleRead,
+  exportMarkdown,
+};
@@ -0,0 +1,81 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {logger} = require("./logger");
+
+// 캐시 저장소 인터페이스
+//   load(): {entries: {key: {data, timestamp}}, feedStats: {name: stats},
+//            validators: {url: {etag, lastModified, items}}} 반환
+//   save(snapshot): 현재 캐시 상태 저장
+//   persistent: 인스턴스 재시작 후에도 데이터가 남는지 여부
+
+// 인메모리 저장소 (Cloud Run 인스턴스 생존 시간 동안만 유효)
+class MemoryCacheStore {
+  constructor() {
+    this.name = "memory";
+    this.persistent = false;
+  }
+
+  load() {
+    return {entries: {}, feedStats: {}, validators: {}};
+  }
+
+  save() {}
+}
+
+// 파일 저장소 (콜드 스타트 후에도 마지막 수집 결과 복원)
+class FileCacheStore {
+  constructor(fileName) {
+    this.name = "file";
+    this.persistent = true;
+    this.fileName = fileName;
+  }
+
+  load() {
+    const snapshot = readJson(this.fileName, null);
+    if (!snapshot) {
+      return {entries: {}, feedStats: {}, validators: {}};
+    }
+
+    const entryCount = Object.keys(snapshot.entries || {}).length;
+    logger.info(
+      `💾 캐시 복원: ${entryCount}개 피드 (저장 시각: ${snapshot.savedAt})`
+    );
+
+    return {
+      entries: snapshot.entries || {},
+      feedStats: snapshot.feedStats || {},
+      validators: snapshot.validators || {},
+    };
+  }
+
+  save(snapshot) {
+    try {
+      writeJson(this.fileName, {
+        savedAt: new Date().toISOString(),
+        ...snapshot,
+      });
+    } catch (error) {
+      logger.error(`❌ 캐시 파일 저장 실패: ${error.message}`);
+    }
+  }
+}
+
+// CACHE_BACKEND 환경 변수에 따라 저장소 생성 (memory | file)
+function createCacheStore(backend = process.env.CACHE_BACKEND) {
+  switch ((backend || "memory").toLowerCase()) {
+    case "file":
+      return new FileCacheStore(process.env.CACHE_FILE || "cache.json");
+    case "memory":
+      return new MemoryCacheStore();
+    default:
+      logger.warn(
+        `⚠️ 알 수 없는 CACHE_BACKEND "${backend}", 인메모리 캐시를 사용합니다.`
+      );
+      return new MemoryCacheStore();
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  FileCacheStore,
+  createCacheStore,
+};
@@ -0,0 +1,258 @@
+const {readJson} = require("./jsonStore");
+const {createKeywordMatcher} = require("./keywordMatcher");
+const {logger} = require("./logger");
+
+const CATEGORIES_FILE = process.env.CATEGORIES_FILE || "categories.json";
+
+// 분류되지 않은 글의 카테고리 이름
+const UNCATEGORIZED = "기타";
+
+// 아이템 하나에 붙일 최대 카테고리 수
+const MAX_CATEGORIES_PER_ITEM = 2;
+
+// 기본 카테고리 (aliases: /뉴스 <카테고리>에서 사용할 수 있는 다른 이름)
+const DEFAULT_CATEGORIES = [
+  {
+    name: "AI/ML",
+    aliases: ["ai", "ml", "인공지능", "머신러닝"],
+    keywords: [
+      "ai",
+      "ml",
+      "llm",
+      "gpt",
+      "machine learning",
+      "deep learning",
+      "neural",
+      "rag",
+      "embedding",
+      "인공지능",
+      "머신러닝",
+      "딥러닝",
+      "생성형",
+      "언어 모델",
+    ],
+  },
+  {
+    name: "Frontend",
+    aliases: ["frontend", "fe", "프론트엔드", "프론트"],
+    keywords: [
+      "frontend",
+      "front-end",
+      "react",
+      "vue",
+      "svelte",
+      "angular",
+      "next.js",
+      "css",
+      "html",
+      "javascript",
+      "typescript",
+      "webpack",
+      "vite",
+      "browser",
+      "프론트엔드",
+      "브라우저",
+      "웹 접근성",
+    ],
+  },
+  {
+    name: "Backend",
+    aliases: ["backend", "be", "백엔드", "서버"],
+    keywords: [
+      "backend",
+      "back-end",
+      "spring",
+      "django",
+      "node.js",
+      "database",
+      "mysql",
+      "postgresql",
+      "redis",
+      "kafka",
+      "graphql",
+      "microservice",
+      "microservices",
+      "백엔드",
+      "서버",
+      "데이터베이스",
+      "마이크로서비스",
+    ],
+  },
+  {
+    name: "Infra/DevOps",
+    aliases: ["infra", "devops", "인프라", "데브옵스"],
+    keywords: [
+      "kubernetes",
+      "k8s",
+      "docker",
+      "aws",
+      "gcp",
+      "azure",
+      "terraform",
+      "ci/cd",
+      "devops",
+      "sre",
+      "observability",
+      "cloud",
+      "인프라",
+      "쿠버네티스",
+      "클라우드",
+      "모니터링",
+      "배포",
+    ],
+  },
+  {
+    name: "Security",
+    aliases: ["security", "보안"],
+    keywords: [
+      "security",
+      "vulnerability",
+      "cve",
+      "xss",
+      "csrf",
+      "malware",
+      "encryption",
+      "authentication",
+      "보안",
+      "취약점",
+      "암호화",
+      "인증",
+      "해킹",
+    ],
+  },
+  {
+    name: "Mobile",
+    aliases: ["mobile", "모바일", "앱"],
+    keywords: [
+      "mobile",
+      "ios",
+      "android",
+      "swift",
+      "swiftui",
+      "flutter",
+      "react native",
+      "jetpack compose",
+      "모바일",
+      "안드로이드",
+    ],
+  },
+  {
+    name: "Career",
+    aliases: ["career", "커리어"],
+    keywords: [
+      "career",
+      "interview",
+      "hiring",
+      "leadership",
+      "mentoring",
+      "onboarding",
+      "retrospective",
+      "커리어",
+      "면접",
+      "채용",
+      "이직",
+      "리더십",
+      "멘토링",
+      "온보딩",
+      "회고",
+    ],
+  },
+];
+
+// 카테고리 목록 (categories.json의 {"카테고리": ["키워드", ...]}로 키워드 교체/추가)
+// 파일을 매번 읽어 재시작 없이 설정 변경이 반영되도록 함
+function getCategories() {
+  const overrides = readJson(CATEGORIES_FILE, {});
+  const categories = DEFAULT_CATEGORIES.map((category) => ({...category}));
+
+  for (const [name, keywords] of Object.entries(overrides || {})) {
+    if (!Array.isArray(keywords)) {
+      logger.warn(
+        `⚠️ 카테고리 설정 오류: ${name}의 값은 키워드 배열이어야 합니다.`
+      );
+      continue;
+    }
+
+    const existing = categories.find((category) => category.name === name);
+    if (existing) {
+      existing.keywords = keywords;
+    } else {
+      categories.push({name, aliases: [], keywords});
+    }
+  }
+
+  return categories;
+}
+
+// 이름 또는 별칭으로 카테고리 찾기 (대소문자 무시)
+function findCategory(name) {
+  const target = (name || "").trim().toLowerCase();
+  if (!target) return null;
+
+  return (
+    getCategories().find(
+      (category) =>
+        category.name.toLowerCase() === target ||
+        category.aliases.includes(target)
+    ) || null
+  );
+}
+
+// 아이템 분류 함수 생성 (피드 하나를 파싱할 때 한 번 만들어 재사용)
+// 제목에서 일치한 키워드는 요약보다 2배로 계산해 점수가 높은 카테고리부터 반환
+function createClassifier() {
+  const categories = getCategories().map((category) => ({
+    name: category.name,
+    matchers: category.keywords.map(createKeywordMatcher),
+  }));
+
+  return (item) => {
+    const title = (item.title || "").toLowerCase();
+    const snippet = (item.contentSnippet || "").toLowerCase();
+
+    return categories
+      .map(({name, matchers}) => ({
+        name,
+        score: matchers.reduce((sum, match) => {
+          return sum + (match(title) ? 2 : 0) + (match(snippet) ? 1 : 0);
+        }, 0),
+      }))
+      .filter(({score}) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CATEGORIES_PER_ITEM)
+      .map(({name}) => name);
+  };
+}
+
+// 카테고리에 속한 아이템만 반환 (카테고리가 없으면 그대로)
+function filterByCategory(items, category) {
+  if (!category) return items;
+  return items.filter((item) => (item.categories || []).includes(category.name));
+}
+
+// 대표 카테고리(첫 번째)별로 묶기 - 카테고리 정의 순서, 미분류는 마지막
+// 반환: [{name, items}]
+function groupByCategory(items) {
+  const groups = new Map(
+    getCategories().map((category) => [category.name, []])
+  );
+  groups.set(UNCATEGORIZED, []);
+
+  for (const item of items) {
+    const name = item.categories?.[0];
+    groups.get(groups.has(name) ? name : UNCATEGORIZED).push(item);
+  }
+
+  return Array.from(groups.entries())
+    .filter(([, groupItems]) => groupItems.length > 0)
+    .map(([name, groupItems]) => ({name, items: groupItems}));
+}
+
+module.exports = {
+  UNCATEGORIZED,
+  getCategories,
+  findCategory,
+  createClassifier,
+  filterByCategory,
+  groupByCategory,
+};
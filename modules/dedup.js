@@ -0,0 +1,228 @@
+// 추적용 쿼리 파라미터 (정확히 일치)
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "mc_cid",
+  "mc_eid",
+  "igshid",
+  "ref",
+  "ref_src",
+  "ref_url",
+  "ncid",
+  "cmpid",
+  "sk",
+  "_hsenc",
+  "_hsmi",
+]);
+
+// 추적용 쿼리 파라미터 접두사
+const TRACKING_PARAM_PREFIXES = ["utm_", "__twitter", "hmb_"];
+
+// 실제 주소를 쿼리 파라미터에 담고 있는 리다이렉터 (호스트 → 파라미터 이름)
+const REDIRECTORS = {
+  "medium.com": {path: "/r/", params: ["url"]},
+  "l.facebook.com": {params: ["u"]},
+  "lm.facebook.com": {params: ["u"]},
+  "www.google.com": {path: "/url", params: ["q", "url"]},
+  "google.com": {path: "/url", params: ["q", "url"]},
+  "out.reddit.com": {params: ["url"]},
+  "t.umblr.com": {params: ["z"]},
+  "www.linkedin.com": {path: "/redir/redirect", params: ["url"]},
+};
+
+// 다른 글을 소개하는 집계 소스 (같은 글이 원문 블로그에도 있으면 원문을 대표로 사용)
+const AGGREGATOR_SOURCES = (process.env.AGGREGATOR_SOURCES || "Hacker News")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+// 제목 유사도 기준 (문자 trigram Jaccard 유사도)
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+// 너무 짧은 제목은 우연히 겹칠 수 있어 비교하지 않음
+const MIN_TITLE_LENGTH = 12;
+
+function isTrackingParam(name) {
+  const lowerName = name.toLowerCase();
+  return (
+    TRACKING_PARAMS.has(lowerName) ||
+    TRACKING_PARAM_PREFIXES.some((prefix) => lowerName.startsWith(prefix))
+  );
+}
+
+// 리다이렉터 주소면 실제 주소 반환, 아니면 null
+function resolveRedirector(url) {
+  const redirector = REDIRECTORS[url.hostname];
+  if (!redirector) return null;
+  if (redirector.path && !url.pathname.startsWith(redirector.path)) {
+    return null;
+  }
+
+  for (const param of redirector.params) {
+    const target = url.searchParams.get(param);
+    if (target && /^https?:\/\//i.test(target)) {
+      return target;
+    }
+  }
+
+  return null;
+}
+
+// 링크 정규화 (추적 파라미터, fragment, 끝 슬래시 제거 및 리다이렉터 해제)
+function canonicalizeUrl(link) {
+  if (!link || typeof link !== "string") {
+    return link || "";
+  }
+
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return link;
+  }
+
+  // 리다이렉터가 중첩된 경우를 고려해 최대 3단계까지 해제
+  for (let depth = 0; depth < 3; depth++) {
+    const target = resolveRedirector(url);
+    if (!target) break;
+
+    try {
+      url = new URL(target);
+    } catch (error) {
+      break;
+    }
+  }
+
+  url.hash = "";
+
+  for (const name of Array.from(url.searchParams.keys())) {
+    const value = url.searchParams.get(name) || "";
+    // Medium RSS 링크의 ?source=rss-... 추적 파라미터
+    const isMediumSource =
+      name === "source" && value.toLowerCase().startsWith("rss");
+
+    if (isTrackingParam(name) || isMediumSource) {
+      url.searchParams.delete(name);
+    }
+  }
+  url.searchParams.sort();
+
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, "");
+  }
+
+  let canonical = url.toString();
+  if (url.pathname === "/" && !url.search) {
+    canonical = canonical.replace(/\/$/, "");
+  }
+
+  return canonical;
+}
+
+// 중복 비교용 키 (프로토콜과 www 차이 무시)
+function getUrlKey(link) {
+  return canonicalizeUrl(link)
+    .replace(/^https?:\/\//i, "")
+    .replace(/^www\./i, "")
+    .toLowerCase();
+}
+
+// 제목 정규화 (대소문자, 문장 부호, 공백 차이 무시)
+function normalizeTitle(title) {
+  return (title || "")
+    .toLowerCase()
+    .replace(/&[a-z]+;|&#\d+;/g, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function getTrigrams(text) {
+  const trigrams = new Set();
+  for (let i = 0; i <= text.length - 3; i++) {
+    trigrams.add(text.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let intersection = 0;
+  for (const value of a) {
+    if (b.has(value)) intersection++;
+  }
+
+  return intersection / (a.size + b.size - intersection);
+}
+
+// 두 제목이 사실상 같은 글인지 확인
+function isSimilarTitle(a, b) {
+  if (a.normalized === b.normalized) {
+    return a.normalized.length > 0;
+  }
+  if (
+    a.normalized.length < MIN_TITLE_LENGTH ||
+    b.normalized.length < MIN_TITLE_LENGTH
+  ) {
+    return false;
+  }
+
+  return (
+    jaccardSimilarity(a.trigrams, b.trigrams) >= TITLE_SIMILARITY_THRESHOLD
+  );
+}
+
+function isAggregator(source) {
+  return AGGREGATOR_SOURCES.includes(source);
+}
+
+// 같은 글을 하나로 합치고, 다른 소스는 alsoOn에 기록 (입력 순서 유지)
+function dedupeItems(items) {
+  const groups = [];
+  const groupByUrlKey = new Map();
+
+  for (const item of items) {
+    const urlKey = getUrlKey(item.link);
+    const normalized = normalizeTitle(item.title);
+    const candidate = {
+      urlKey,
+      normalized,
+      trigrams: getTrigrams(normalized),
+    };
+
+    let group = groupByUrlKey.get(urlKey);
+    if (!group) {
+      group = groups.find((g) =>
+        g.members.some((member) => isSimilarTitle(member, candidate))
+      );
+    }
+
+    if (!group) {
+      group = {primary: item, sources: [item.source], members: []};
+      groups.push(group);
+    } else {
+      if (!group.sources.includes(item.source)) {
+        group.sources.push(item.source);
+      }
+      // 집계 소스보다 원문 소스를 대표 아이템으로 사용
+      if (isAggregator(group.primary.source) && !isAggregator(item.source)) {
+        group.primary = item;
+      }
+    }
+
+    group.members.push(candidate);
+    groupByUrlKey.set(urlKey, group);
+  }
+
+  return groups.map((group) => ({
+    ...group.primary,
+    alsoOn: group.sources.filter((source) => source !== group.primary.source),
+  }));
+}
+
+module.exports = {
+  canonicalizeUrl,
+  getUrlKey,
+  normalizeTitle,
+  dedupeItems,
+};
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const {OAuth2Client} = require("google-auth-library");
+
+// 요청 시각 허용 오차 (이보다 오래된 요청은 재전송 공격으로 간주)
+const MAX_SKEW_SECONDS =
+  parseInt(process.env.DIGEST_AUTH_MAX_SKEW_SECONDS, 10) || 300;
+
+const oidcClient = new OAuth2Client();
+
+// 허용 시간 안에 이미 사용된 HMAC 서명 (같은 요청 재전송 차단)
+const usedSignatures = new Map();
+
+function pruneUsedSignatures() {
+  const now = Date.now();
+  for (const [signature, expiresAt] of usedSignatures.entries()) {
+    if (expiresAt < now) {
+      usedSignatures.delete(signature);
+    }
+  }
+}
+
+// HMAC 서명 생성 (서명 대상: "v2:<timestamp>:<메서드>:<경로와 쿼리>:<본문>")
+// ?force=, ?profile=처럼 동작을 바꾸는 쿼리도 서명에 포함해 변조를 막음
+function createSignature(secret, timestamp, method, target, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`v2:${timestamp}:${method.toUpperCase()}:${target}:${body}`)
+    .digest("hex");
+  return `v2=${digest}`;
+}
+
+function isWithinSkew(epochSeconds) {
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - epochSeconds);
+  return skew <= MAX_SKEW_SECONDS;
+}
+
+// X-Digest-Timestamp / X-Digest-Signature 헤더 검증
+function verifyHmacSignature(req, body, secret) {
+  const timestamp = parseInt(req.headers["x-digest-timestamp"], 10);
+  const signature = req.headers["x-digest-signature"] || "";
+
+  if (!timestamp) {
+    return {authorized: false, reason: "X-Digest-Timestamp 헤더 없음"};
+  }
+  if (!isWithinSkew(timestamp)) {
+    return {authorized: false, reason: "요청 시각이 허용 범위를 벗어남"};
+  }
+
+  if (signature.startsWith("v1=")) {
+    return {
+      authorized: false,
+      reason: "v1 서명은 지원하지 않음 (메서드/경로/쿼리를 포함한 v2 서명 필요)",
+    };
+  }
+
+  // 길이는 문자 수가 아니라 바이트 수로 비교 (다르면 timingSafeEqual이 예외를 던짐)
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(
+    createSignature(secret, timestamp, req.method, req.url, body)
+  );
+  const isValid =
+    signatureBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+  if (!isValid) {
+    return {authorized: false, reason: "HMAC 서명 불일치"};
+  }
+
+  pruneUsedSignatures();
+  if (usedSignatures.has(signature)) {
+    return {authorized: false, reason: "이미 사용된 서명 (재전송)"};
+  }
+  usedSignatures.set(signature, Date.now() + MAX_SKEW_SECONDS * 2 * 1000);
+
+  return {authorized: true, method: "hmac"};
+}
+
+// Cloud Scheduler 등에서 보낸 Google OIDC 토큰 검증
+// 어느 GCP 프로젝트의 서비스 계정이든 같은 audience로 토큰을 발급할 수 있으므로
+// 허용할 계정(DIGEST_OIDC_EMAIL 또는 DIGEST_OIDC_SUBJECT)이 설정되지 않으면 거부
+async function verifyOidcToken(token, audience) {
+  const allowedEmail = process.env.DIGEST_OIDC_EMAIL;
+  const allowedSubject = process.env.DIGEST_OIDC_SUBJECT;
+  if (!allowedEmail && !allowedSubject) {
+    return {
+      authorized: false,
+      reason:
+        "허용할 서비스 계정 설정 없음 (DIGEST_OIDC_EMAIL 또는 DIGEST_OIDC_SUBJECT 필요)",
+    };
+  }
+
+  try {
+    const ticket = await oidcClient.verifyIdToken({idToken: token, audience});
+    const payload = ticket.getPayload();
+
+    if (!isWithinSkew(payload.iat)) {
+      return {authorized: false, reason: "토큰 발급 시각이 허용 범위를 벗어남"};
+    }
+
+    // 설정된 값은 모두 일치해야 함
+    const emailMatches =
+      !allowedEmail ||
+      (payload.email === allowedEmail && payload.email_verified);
+    const subjectMatches = !allowedSubject || payload.sub === allowedSubject;
+    if (!emailMatches || !subjectMatches) {
+      return {
+        authorized: false,
+        reason: `허용되지 않은 서비스 계정 (${payload.email || payload.sub})`,
+      };
+    }
+
+    return {
+      authorized: true,
+      method: "oidc",
+      subject: payload.email || payload.sub,
+    };
+  } catch (error) {
+    return {authorized: false, reason: `OIDC 토큰 검증 실패: ${error.message}`};
+  }
+}
+
+// 다이제스트 트리거 요청 인증 (HMAC 서명 또는 OIDC Bearer 토큰)
+// 반환: {authorized, method?, reason?}
+async function authorizeDigestRequest(req, body) {
+  const secret = process.env.DIGEST_SIGNING_SECRET;
+  const audience = process.env.DIGEST_OIDC_AUDIENCE;
+
+  if (!secret && !audience) {
+    return {
+      authorized: false,
+      reason:
+        "인증 설정 없음 (DIGEST_SIGNING_SECRET 또는 DIGEST_OIDC_AUDIENCE 필요)",
+    };
+  }
+
+  const authorization = req.headers.authorization || "";
+  if (audience && authorization.startsWith("Bearer ")) {
+    return verifyOidcToken(authorization.slice("Bearer ".length), audience);
+  }
+
+  if (secret && req.headers["x-digest-signature"]) {
+    return verifyHmacSignature(req, body, secret);
+  }
+
+  return {authorized: false, reason: "인증 정보 없음"};
+}
+
+module.exports = {
+  createSignature,
+  authorizeDigestRequest,
+};
@@ -0,0 +1,103 @@
+const {readJson} = require("./jsonStore");
+const {createKeywordMatcher} = require("./keywordMatcher");
+const {logger} = require("./logger");
+
+const PROFILES_FILE =
+  process.env.DIGEST_PROFILES_FILE || "digest-profiles.json";
+
+// 프로필 기본값
+const DEFAULT_COUNT = 5;
+const DEFAULT_HEADER = "📰 Daily Tech News";
+
+// 프로필 설정 정규화 (누락된 값은 기본값으로 채움)
+function normalizeProfile(profile) {
+  const toList = (value) =>
+    (Array.isArray(value) ? value : [])
+      .map((entry) => String(entry).trim())
+      .filter(Boolean);
+  const count = parseInt(profile.count, 10);
+
+  return {
+    name: String(profile.name || "").trim(),
+    channel: profile.channel || null,
+    includeSources: toList(profile.includeSources),
+    excludeSources: toList(profile.excludeSources),
+    keywords: toList(profile.keywords),
+    excludeKeywords: toList(profile.excludeKeywords),
+    count: count > 0 ? count : DEFAULT_COUNT,
+    headerText: profile.headerText || DEFAULT_HEADER,
+    groupByCategory: profile.groupByCategory === true,
+  };
+}
+
+// 프로필 목록 (설정 파일이 없으면 SLACK_TARGET_CHANNEL로 보내는 기본 프로필 하나)
+// 파일을 매번 읽어 재시작 없이 설정 변경이 반영되도록 함
+function getProfiles() {
+  const stored = readJson(PROFILES_FILE, null);
+
+  if (!Array.isArray(stored) || stored.length === 0) {
+    return [
+      normalizeProfile({
+        name: "default",
+        channel: process.env.SLACK_TARGET_CHANNEL,
+      }),
+    ];
+  }
+
+  return stored
+    .map(normalizeProfile)
+    .filter((profile) => {
+      if (!profile.name || !profile.channel) {
+        logger.warn(
+          `⚠️ 다이제스트 프로필 설정 오류: name과 channel이 필요합니다. (${JSON.stringify(
+            profile
+          )})`
+        );
+        return false;
+      }
+      return true;
+    });
+}
+
+// 이름으로 프로필 찾기
+function getProfile(name) {
+  const target = (name || "").trim().toLowerCase();
+  return (
+    getProfiles().find((profile) => profile.name.toLowerCase() === target) ||
+    null
+  );
+}
+
+// 프로필의 소스/키워드 조건에 맞는 뉴스만 반환 (입력 순서 유지)
+function filterItemsForProfile(profile, items) {
+  const includeSources = profile.includeSources.map((s) => s.toLowerCase());
+  const excludeSources = profile.excludeSources.map((s) => s.toLowerCase());
+  const keywordMatchers = profile.keywords.map(createKeywordMatcher);
+  const excludeMatchers = profile.excludeKeywords.map(createKeywordMatcher);
+
+  return items.filter((item) => {
+    const source = (item.source || "").toLowerCase();
+    if (includeSources.length > 0 && !includeSources.includes(source)) {
+      return false;
+    }
+    if (excludeSources.includes(source)) {
+      return false;
+    }
+
+    const text = `${item.title} ${item.contentSnippet || ""}`.toLowerCase();
+    if (keywordMatchers.length > 0 && !keywordMatchers.some((m) => m(text))) {
+      return false;
+    }
+    if (excludeMatchers.some((m) => m(text))) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+module.exports = {
+  getProfiles,
+  getProfile,
+  filterItemsForProfile,
+};
@@ -0,0 +1,114 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {getUrlKey} = require("./dedup");
+const {logger} = require("./logger");
+
+const DISCUSSIONS_FILE = process.env.DISCUSSIONS_FILE || "discussions.json";
+// 다이제스트 기록 보관 기간 (지나면 토론 버튼을 눌러도 새 스레드를 만들지 않음)
+const RETENTION_MS =
+  (parseInt(process.env.DISCUSSION_RETENTION_DAYS, 10) || 14) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// 댓글 수를 갱신할 다이제스트 범위 (하루 동안 보낸 다이제스트)
+const COUNT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// 다이제스트별 토론 (seedTs: 다이제스트 스레드에 올린 글별 토론 시작 메시지 ts):
+// {"channel:digestTs": {channel, digestTs, postedAt, countsUpdatedAt, articles: {urlKey: {link, title, source, summary, seedTs}}}}
+let digests = null;
+
+function loadDigests() {
+  if (!digests) {
+    digests = readJson(DISCUSSIONS_FILE, {});
+  }
+  return digests;
+}
+
+function saveDigests() {
+  try {
+    writeJson(DISCUSSIONS_FILE, digests);
+  } catch (error) {
+    logger.error(`❌ [토론] 저장 실패: ${error.message}`);
+  }
+}
+
+function getDigestKey(channel, digestTs) {
+  return `${channel}:${digestTs}`;
+}
+
+// 보관 기간이 지난 다이제스트 정리
+function pruneDigests() {
+  const now = Date.now();
+  for (const [key, digest] of Object.entries(loadDigests())) {
+    if (now - new Date(digest.postedAt).getTime() > RETENTION_MS) {
+      delete digests[key];
+    }
+  }
+}
+
+// 다이제스트로 보낸 뉴스 기록 (토론 스레드를 시작할 때 글 정보로 사용)
+function trackDigest(channel, digestTs, items) {
+  const articles = {};
+  for (const item of items) {
+    articles[getUrlKey(item.link)] = {
+      link: item.link,
+      title: item.title,
+      source: item.source,
+      summary: item.summary || item.contentSnippet || "",
+      seedTs: null,
+    };
+  }
+
+  loadDigests()[getDigestKey(channel, digestTs)] = {
+    channel,
+    digestTs,
+    postedAt: new Date().toISOString(),
+    countsUpdatedAt: null,
+    articles,
+  };
+  pruneDigests();
+  saveDigests();
+}
+
+// 다이제스트의 뉴스 기록 (없으면 null)
+function getArticle(channel, digestTs, link) {
+  const digest = loadDigests()[getDigestKey(channel, digestTs)];
+  return digest?.articles[getUrlKey(link)] || null;
+}
+
+// 토론 시작 메시지 기록 (다음 클릭부터 같은 메시지로 안내)
+function setSeed(channel, digestTs, link, seedTs) {
+  const article = getArticle(channel, digestTs, link);
+  if (!article) return false;
+
+  article.seedTs = seedTs;
+  saveDigests();
+  return true;
+}
+
+// 댓글 수를 갱신할 다이제스트 (최근 하루 동안 보냈고 시작한 토론이 하나 이상인 것)
+function getDigestsWithThreads(now = new Date()) {
+  return Object.values(loadDigests()).filter(
+    (digest) =>
+      now - new Date(digest.postedAt) <= COUNT_WINDOW_MS &&
+      Object.values(digest.articles).some((article) => article.seedTs)
+  );
+}
+
+// 댓글 수 갱신 시각 기록
+function markCountsUpdated(channel, digestTs) {
+  const digest = loadDigests()[getDigestKey(channel, digestTs)];
+  if (!digest) return;
+
+  digest.countsUpdatedAt = new Date().toISOString();
+  saveDigests();
+}
+
+module.exports = {
+  trackDigest,
+  getArticle,
+  setSeed,
+  getDigestsWithThreads,
+  markCountsUpdated,
+};
@@ -0,0 +1,17 @@
+// 숫자 문자 참조(&#123; / &#x7B;)의 코드 포인트를 문자로 변환
+// 범위를 벗어나거나 서로게이트 영역이면 null (String.fromCodePoint의 RangeError 방지)
+function fromCodePointSafe(code) {
+  if (
+    !Number.isInteger(code) ||
+    code < 0 ||
+    code > 0x10ffff ||
+    (code >= 0xd800 && code <= 0xdfff)
+  ) {
+    return null;
+  }
+  return String.fromCodePoint(code);
+}
+
+module.exports = {
+  fromCodePointSafe,
+};
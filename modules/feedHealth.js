@@ -0,0 +1,153 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {logger} = require("./logger");
+
+const HEALTH_FILE = process.env.FEED_HEALTH_FILE || "feed-health.json";
+
+// 연속 실패 횟수가 이 값에 도달하면 서킷 오픈
+const FAILURE_THRESHOLD =
+  parseInt(process.env.FEED_CIRCUIT_THRESHOLD, 10) || 3;
+// 서킷 오픈 후 피드를 건너뛰는 시간
+const COOLDOWN_MS =
+  (parseInt(process.env.FEED_CIRCUIT_COOLDOWN_MINUTES, 10) || 30) * 60 * 1000;
+// 평균 응답 시간 계산 가중치 (최근 값 비중)
+const LATENCY_WEIGHT = 0.3;
+// 피드별로 보관하는 최근 시도 기록 수
+const HISTORY_SIZE = 20;
+
+let healthByFeed = null;
+
+function loadHealth() {
+  if (!healthByFeed) {
+    healthByFeed = readJson(HEALTH_FILE, {});
+  }
+  return healthByFeed;
+}
+
+function saveHealth() {
+  try {
+    writeJson(HEALTH_FILE, healthByFeed);
+  } catch (error) {
+    logger.error(`❌ [피드 상태] 저장 실패: ${error.message}`);
+  }
+}
+
+function getRecord(feedName) {
+  const health = loadHealth();
+
+  if (!health[feedName]) {
+    health[feedName] = {
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastErrorType: null,
+      lastErrorMessage: null,
+      consecutiveFailures: 0,
+      totalSuccesses: 0,
+      totalFailures: 0,
+      avgLatencyMs: null,
+      circuitOpenUntil: null,
+      history: [],
+    };
+  }
+
+  return health[feedName];
+}
+
+function pushHistory(record, entry) {
+  record.history.push(entry);
+  if (record.history.length > HISTORY_SIZE) {
+    record.history.splice(0, record.history.length - HISTORY_SIZE);
+  }
+}
+
+function updateLatency(record, durationMs) {
+  record.avgLatencyMs =
+    record.avgLatencyMs === null
+      ? durationMs
+      : Math.round(
+          record.avgLatencyMs * (1 - LATENCY_WEIGHT) +
+            durationMs * LATENCY_WEIGHT
+        );
+}
+
+// 서킷이 열려 있으면 남은 시간(ms), 아니면 0 반환
+function getCircuitRemaining(feedName) {
+  const record = loadHealth()[feedName];
+  if (!record || !record.circuitOpenUntil) return 0;
+
+  const remaining = new Date(record.circuitOpenUntil).getTime() - Date.now();
+  return remaining > 0 ? remaining : 0;
+}
+
+// 수집 성공 기록 (서킷 닫힘)
+function recordSuccess(feedName, durationMs) {
+  const record = getRecord(feedName);
+  const now = new Date().toISOString();
+
+  if (record.circuitOpenUntil) {
+    logger.info(`🟢 [${feedName}] 서킷 닫힘 (수집 복구)`, {feed: feedName});
+  }
+
+  record.lastSuccessAt = now;
+  record.consecutiveFailures = 0;
+  record.totalSuccesses++;
+  record.circuitOpenUntil = null;
+  updateLatency(record, durationMs);
+  pushHistory(record, {at: now, ok: true, durationMs});
+
+  saveHealth();
+}
+
+// 수집 실패 기록 (연속 실패가 임계값에 도달하면 서킷 오픈)
+function recordFailure(feedName, errorType, errorMessage, durationMs) {
+  const record = getRecord(feedName);
+  const now = new Date().toISOString();
+
+  record.lastFailureAt = now;
+  record.lastErrorType = errorType;
+  record.lastErrorMessage = errorMessage;
+  record.consecutiveFailures++;
+  record.totalFailures++;
+  pushHistory(record, {at: now, ok: false, errorType, durationMs});
+
+  if (record.consecutiveFailures >= FAILURE_THRESHOLD) {
+    record.circuitOpenUntil = new Date(Date.now() + COOLDOWN_MS).toISOString();
+    logger.warn(
+      `🔴 [${feedName}] 연속 ${record.consecutiveFailures}회 실패 - ${Math.round(
+        COOLDOWN_MS / 60000
+      )}분 동안 건너뜀`,
+      {feed: feedName, errorType}
+    );
+  }
+
+  saveHealth();
+}
+
+// 피드별 상태 조회
+function getFeedHealth(feedName) {
+  const record = loadHealth()[feedName];
+  if (!record) return null;
+
+  return {
+    ...record,
+    circuitRemainingMs: getCircuitRemaining(feedName),
+  };
+}
+
+// 피드 상태 기록 삭제 (피드 삭제 시)
+function resetFeedHealth(feedName) {
+  const health = loadHealth();
+  if (health[feedName]) {
+    delete health[feedName];
+    saveHealth();
+  }
+}
+
+module.exports = {
+  FAILURE_THRESHOLD,
+  COOLDOWN_MS,
+  getCircuitRemaining,
+  recordSuccess,
+  recordFailure,
+  getFeedHealth,
+  resetFeedHealth,
+};
@@ -0,0 +1,148 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {logger} = require("./logger");
+
+const REGISTRY_FILE = process.env.FEED_REGISTRY_FILE || "feeds.json";
+
+// 기본 RSS 피드 목록 (레지스트리 파일이 없을 때 초기값으로 사용, 안정성 순으로 정렬)
+const DEFAULT_FEEDS = [
+  {name: "Engineering at Meta", url: "https://engineering.fb.com/feed/"},
+  {name: "Naver D2", url: "https://d2.naver.com/d2.atom"},
+  {name: "Hacker News", url: "https://hnrss.org/frontpage"},
+  {name: "Dev.to", url: "https://dev.to/feed"},
+  {name: "GitHub Blog", url: "https://github.blog/feed/"},
+  {name: "InfoQ", url: "https://www.infoq.com/rss/"},
+  {name: "Smashing Magazine", url: "https://www.smashingmagazine.com/feed/"},
+  {name: "A List Apart", url: "https://alistapart.com/main/feed/"},
+];
+
+let feeds = null;
+
+// 레지스트리 로드 (최초 1회만 디스크에서 읽음)
+function loadFeeds() {
+  if (feeds) return feeds;
+
+  const stored = readJson(REGISTRY_FILE, null);
+  if (Array.isArray(stored)) {
+    feeds = stored;
+  } else {
+    feeds = DEFAULT_FEEDS.map((feed) => ({
+      ...feed,
+      enabled: true,
+      addedAt: null,
+      addedBy: null,
+    }));
+    saveFeeds();
+  }
+
+  return feeds;
+}
+
+function saveFeeds() {
+  try {
+    writeJson(REGISTRY_FILE, feeds);
+  } catch (error) {
+    logger.error(`❌ [피드 레지스트리] 저장 실패: ${error.message}`);
+  }
+}
+
+// 이름 또는 URL로 피드 찾기
+function findFeed(nameOrUrl) {
+  const target = (nameOrUrl || "").trim().toLowerCase();
+  if (!target) return null;
+
+  return (
+    loadFeeds().find(
+      (feed) =>
+        feed.name.toLowerCase() === target || feed.url.toLowerCase() === target
+    ) || null
+  );
+}
+
+// 전체 피드 목록 (비활성 포함)
+function getFeeds() {
+  return loadFeeds().slice();
+}
+
+// 수집 대상 피드 목록
+function getActiveFeeds() {
+  return loadFeeds().filter((feed) => feed.enabled !== false);
+}
+
+// URL 형식 검증
+function isValidFeedUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+// 피드 추가 (검증은 호출하는 쪽에서 parseRSSFeedSafe로 수행)
+// folder: OPML 가져오기/내보내기에 쓰는 폴더 이름 (선택)
+function addFeed({name, url, addedBy = null, folder = null}) {
+  const trimmedName = (name || "").trim();
+  const trimmedUrl = (url || "").trim();
+
+  if (!trimmedName) {
+    throw new Error("피드 이름이 비어 있습니다.");
+  }
+  if (!isValidFeedUrl(trimmedUrl)) {
+    throw new Error(`올바른 URL이 아닙니다: ${trimmedUrl}`);
+  }
+  if (findFeed(trimmedName) || findFeed(trimmedUrl)) {
+    throw new Error(`이미 등록된 피드입니다: ${trimmedName}`);
+  }
+
+  const feed = {
+    name: trimmedName,
+    url: trimmedUrl,
+    enabled: true,
+    addedAt: new Date().toISOString(),
+    addedBy,
+    folder: (folder || "").trim() || null,
+  };
+
+  loadFeeds().push(feed);
+  saveFeeds();
+  logger.info(`➕ [피드 레지스트리] ${feed.name} 추가 (${feed.url})`);
+
+  return feed;
+}
+
+// 피드 삭제
+function removeFeed(nameOrUrl) {
+  const feed = findFeed(nameOrUrl);
+  if (!feed) return null;
+
+  feeds = loadFeeds().filter((f) => f !== feed);
+  saveFeeds();
+  logger.info(`➖ [피드 레지스트리] ${feed.name} 삭제`);
+
+  return feed;
+}
+
+// 피드 활성화/비활성화
+function setFeedEnabled(nameOrUrl, enabled) {
+  const feed = findFeed(nameOrUrl);
+  if (!feed) return null;
+
+  feed.enabled = enabled;
+  saveFeeds();
+  logger.info(
+    `🔧 [피드 레지스트리] ${feed.name} ${enabled ? "활성화" : "비활성화"}`
+  );
+
+  return feed;
+}
+
+module.exports = {
+  DEFAULT_FEEDS,
+  getFeeds,
+  getActiveFeeds,
+  findFeed,
+  isValidFeedUrl,
+  addFeed,
+  removeFeed,
+  setFeedEnabled,
+};
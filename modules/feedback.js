@@ -0,0 +1,176 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {logger} = require("./logger");
+
+const FEEDBACK_FILE = process.env.FEEDBACK_FILE || "feedback.json";
+// 반응 기록 보관 기간 (오래된 반응은 가중치에서 자연스럽게 빠짐)
+const RETENTION_MS =
+  (parseInt(process.env.FEEDBACK_RETENTION_DAYS, 10) || 90) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// 반응 이모지별 점수
+const REACTION_VALUES = {
+  "+1": 1,
+  thumbsup: 1,
+  "-1": -1,
+  thumbsdown: -1,
+};
+
+// 가중치 범위 (점수가 커져도 0.5 ~ 1.5배 사이로 제한)
+const MAX_WEIGHT_DELTA = 0.5;
+// 이 점수쯤에서 가중치가 최대치의 약 76%에 도달
+const SCORE_SCALE = 5;
+// 최신 글 우선 (24시간마다 절반)
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+// 전송한 메시지와 반응: {"channel:ts": {channel, link, title, source, categories, postedAt, votes: {userId: 1|-1}}}
+let messages = null;
+
+function loadMessages() {
+  if (!messages) {
+    messages = readJson(FEEDBACK_FILE, {});
+  }
+  return messages;
+}
+
+function saveMessages() {
+  try {
+    writeJson(FEEDBACK_FILE, messages);
+  } catch (error) {
+    logger.error(`❌ [피드백] 저장 실패: ${error.message}`);
+  }
+}
+
+function getMessageKey(channel, ts) {
+  return `${channel}:${ts}`;
+}
+
+// 보관 기간이 지난 기록 정리
+function pruneMessages() {
+  const now = Date.now();
+  for (const [key, message] of Object.entries(loadMessages())) {
+    if (now - new Date(message.postedAt).getTime() > RETENTION_MS) {
+      delete messages[key];
+    }
+  }
+}
+
+// 다이제스트로 보낸 개별 뉴스 메시지 기록 (반응을 뉴스와 연결하기 위함)
+function trackMessage(channel, ts, item) {
+  loadMessages()[getMessageKey(channel, ts)] = {
+    channel,
+    link: item.link,
+    title: item.title,
+    source: item.source,
+    categories: item.categories || [],
+    postedAt: new Date().toISOString(),
+    votes: {},
+  };
+  pruneMessages();
+  saveMessages();
+}
+
+// reaction_added / reaction_removed 이벤트 반영
+// 추적 중인 메시지의 👍/👎 반응이면 true 반환
+function recordReaction(event, added) {
+  const value = REACTION_VALUES[event.reaction.split("::")[0]];
+  if (!value || event.item?.type !== "message") return false;
+
+  const message =
+    loadMessages()[getMessageKey(event.item.channel, event.item.ts)];
+  if (!message) return false;
+
+  if (added) {
+    message.votes[event.user] = value;
+  } else if (message.votes[event.user] === value) {
+    // 사용자당 마지막으로 누른 반응 하나만 반영하므로, 그 반응을 취소할 때만 삭제
+    delete message.votes[event.user];
+  } else {
+    return false;
+  }
+
+  saveMessages();
+  return true;
+}
+
+// 채널의 소스/카테고리별 누적 점수
+// 반환: {sources: {name: score}, categories: {name: score}, votes, messages}
+function getScores(channel) {
+  const scores = {sources: {}, categories: {}, votes: 0, messages: 0};
+
+  for (const message of Object.values(loadMessages())) {
+    if (message.channel !== channel) continue;
+
+    const score = Object.values(message.votes).reduce((a, b) => a + b, 0);
+    const voteCount = Object.keys(message.votes).length;
+    if (voteCount === 0) continue;
+
+    scores.votes += voteCount;
+    scores.messages++;
+    scores.sources[message.source] =
+      (scores.sources[message.source] || 0) + score;
+    for (const category of message.categories) {
+      scores.categories[category] = (scores.categories[category] || 0) + score;
+    }
+  }
+
+  return scores;
+}
+
+// 누적 점수를 곱할 가중치로 변환 (0.5 ~ 1.5)
+function toWeight(score = 0) {
+  return 1 + MAX_WEIGHT_DELTA * Math.tanh(score / SCORE_SCALE);
+}
+
+// 아이템 가중치 (소스 가중치 x 대표 카테고리 가중치)
+function getItemWeight(scores, item) {
+  const category = item.categories?.[0];
+  return (
+    toWeight(scores.sources[item.source]) *
+    toWeight(category ? scores.categories[category] : 0)
+  );
+}
+
+// 채널 반응을 반영해 다이제스트 후보 정렬 (최신성 x 학습된 가중치)
+function rankForChannel(channel, items) {
+  const scores = getScores(channel);
+  if (scores.votes === 0) return items;
+
+  const now = Date.now();
+  return items
+    .map((item, index) => {
+      const date = new Date(item.isoDate || item.pubDate);
+      const ageHours = isNaN(date) ? Infinity : (now - date) / 3600000;
+      const recency = Math.pow(
+        0.5,
+        Math.max(0, ageHours) / RECENCY_HALF_LIFE_HOURS
+      );
+      return {item, index, priority: recency * getItemWeight(scores, item)};
+    })
+    .sort((a, b) => b.priority - a.priority || a.index - b.index)
+    .map(({item}) => item);
+}
+
+// 채널의 학습된 반응 초기화 (메시지 기록은 유지, 반응만 삭제)
+function resetChannel(channel) {
+  let cleared = 0;
+  for (const message of Object.values(loadMessages())) {
+    if (message.channel === channel && Object.keys(message.votes).length > 0) {
+      message.votes = {};
+      cleared++;
+    }
+  }
+  saveMessages();
+  return cleared;
+}
+
+module.exports = {
+  trackMessage,
+  recordReaction,
+  getScores,
+  toWeight,
+  rankForChannel,
+  resetChannel,
+};
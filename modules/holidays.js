@@ -0,0 +1,102 @@
+const {readJson} = require("./jsonStore");
+const {logger} = require("./logger");
+
+const HOLIDAYS_FILE = process.env.HOLIDAYS_FILE || "holidays.json";
+
+// 한국 공휴일 기본 달력 (대체공휴일 포함, 2027년까지)
+// 임시공휴일 등 정부 발표로 바뀌는 날과 2028년 이후는 holidays.json 또는 EXTRA_HOLIDAYS로 보정
+const DEFAULT_HOLIDAYS = {
+  "2026-01-01": "신정",
+  "2026-02-16": "설날 연휴",
+  "2026-02-17": "설날",
+  "2026-02-18": "설날 연휴",
+  "2026-03-01": "삼일절",
+  "2026-03-02": "삼일절 대체공휴일",
+  "2026-05-05": "어린이날",
+  "2026-05-24": "부처님오신날",
+  "2026-05-25": "부처님오신날 대체공휴일",
+  "2026-06-03": "전국동시지방선거",
+  "2026-06-06": "현충일",
+  "2026-08-15": "광복절",
+  "2026-08-17": "광복절 대체공휴일",
+  "2026-09-24": "추석 연휴",
+  "2026-09-25": "추석",
+  "2026-09-26": "추석 연휴",
+  "2026-10-03": "개천절",
+  "2026-10-05": "개천절 대체공휴일",
+  "2026-10-09": "한글날",
+  "2026-12-25": "성탄절",
+  "2027-01-01": "신정",
+  "2027-02-06": "설날 연휴",
+  "2027-02-07": "설날",
+  "2027-02-08": "설날 연휴",
+  "2027-02-09": "설날 대체공휴일",
+  "2027-03-01": "삼일절",
+  "2027-05-05": "어린이날",
+  "2027-05-13": "부처님오신날",
+  "2027-06-06": "현충일",
+  "2027-08-15": "광복절",
+  "2027-08-16": "광복절 대체공휴일",
+  "2027-09-14": "추석 연휴",
+  "2027-09-15": "추석",
+  "2027-09-16": "추석 연휴",
+  "2027-10-03": "개천절",
+  "2027-10-04": "개천절 대체공휴일",
+  "2027-10-09": "한글날",
+  "2027-10-11": "한글날 대체공휴일",
+  "2027-12-25": "성탄절",
+  "2027-12-27": "성탄절 대체공휴일",
+};
+
+// 기본 달력 + holidays.json ({"YYYY-MM-DD": "이름"}) + EXTRA_HOLIDAYS (쉼표로 구분한 날짜)
+function getHolidays() {
+  const holidays = {...DEFAULT_HOLIDAYS, ...readJson(HOLIDAYS_FILE, {})};
+
+  (process.env.EXTRA_HOLIDAYS || "")
+    .split(",")
+    .map((date) => date.trim())
+    .filter(Boolean)
+    .forEach((date) => {
+      holidays[date] = holidays[date] || "임시공휴일";
+    });
+
+  return holidays;
+}
+
+// 해당 시간대 기준 날짜 문자열 (YYYY-MM-DD)
+function getDateKey(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+// 달력에 없는 연도 경고 (연도마다 한 번만)
+const warnedYears = new Set();
+
+function warnIfYearMissing(holidays, dateKey) {
+  const year = dateKey.slice(0, 4);
+  if (warnedYears.has(year)) return;
+  if (Object.keys(holidays).some((key) => key.startsWith(`${year}-`))) return;
+
+  warnedYears.add(year);
+  logger.warn(
+    `⚠️ [공휴일] ${year}년 공휴일 달력이 없습니다. ${HOLIDAYS_FILE}에 추가하지 않으면 공휴일에도 다이제스트를 전송합니다.`
+  );
+}
+
+// 공휴일이면 공휴일 이름, 아니면 null 반환
+function getHolidayName(date = new Date(), timeZone = "Asia/Seoul") {
+  const holidays = getHolidays();
+  const dateKey = getDateKey(date, timeZone);
+  warnIfYearMissing(holidays, dateKey);
+  return holidays[dateKey] || null;
+}
+
+module.exports = {
+  DEFAULT_HOLIDAYS,
+  getDateKey,
+  getHolidayName,
+};
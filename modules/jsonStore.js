@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+const {logger} = require("./logger");
+
+// 영구 저장 데이터 디렉터리 (Cloud Run에서는 볼륨 마운트 경로로 지정)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+// 데이터 파일 절대 경로 반환
+function resolveDataPath(fileName) {
+  return path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+}
+
+// JSON 파일 읽기 (파일이 없거나 손상된 경우 fallback 반환)
+function readJson(fileName, fallback) {
+  const filePath = resolveDataPath(fileName);
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    logger.error(`❌ [저장소] ${filePath} 읽기 실패: ${error.message}`);
+    return fallback;
+  }
+}
+
+// JSON 파일 쓰기 (임시 파일에 쓴 뒤 rename 하여 중간에 잘린 파일 방지)
+function writeJson(fileName, data) {
+  const filePath = resolveDataPath(fileName);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), {recursive: true});
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  DATA_DIR,
+  resolveDataPath,
+  readJson,
+  writeJson,
+};
@@ -0,0 +1,22 @@
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// 키워드 매칭 함수 생성 (영문/숫자 키워드는 단어 단위, 한글 키워드는 부분 일치)
+// 반환된 함수에는 소문자로 변환한 텍스트를 넘겨야 함
+function createKeywordMatcher(keyword) {
+  const lowerKeyword = keyword.toLowerCase();
+
+  if (/^[\x00-\x7F]+$/.test(lowerKeyword)) {
+    const pattern = new RegExp(
+      `(^|[^a-z0-9])${escapeRegExp(lowerKeyword)}([^a-z0-9]|$)`
+    );
+    return (text) => pattern.test(text);
+  }
+
+  return (text) => text.includes(lowerKeyword);
+}
+
+module.exports = {
+  createKeywordMatcher,
+};
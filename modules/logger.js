@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+
+// 레벨별 우선순위와 Cloud Logging severity
+const LEVELS = {
+  debug: {priority: 10, severity: "DEBUG", method: "log"},
+  info: {priority: 20, severity: "INFO", method: "log"},
+  warn: {priority: 30, severity: "WARNING", method: "warn"},
+  error: {priority: 40, severity: "ERROR", method: "error"},
+};
+
+// LOG_LEVEL: debug | info | warn | error (기본값 info)
+function getThreshold() {
+  const level = LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()];
+  return (level || LEVELS.info).priority;
+}
+
+// LOG_FORMAT=json이면 한 줄에 하나씩 JSON으로 출력 (Cloud Logging이 jsonPayload로 인덱싱)
+function isJsonFormat() {
+  return (process.env.LOG_FORMAT || "").toLowerCase() === "json";
+}
+
+// 요청 추적용 ID (같은 명령어/버튼/다이제스트에서 나온 로그를 묶음)
+function createCorrelationId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+// fields: correlationId, feed, errorType, durationMs 등 검색할 값
+// error(Error 객체)는 JSON에서 message / stack_trace로 펼침 (Error Reporting 연동)
+function write(level, message, fields) {
+  const {priority, severity, method} = LEVELS[level];
+  if (priority < getThreshold()) return;
+
+  const {error, ...rest} = fields;
+  // undefined/null 값은 출력하지 않음
+  const data = Object.fromEntries(
+    Object.entries(rest).filter(([, value]) => value != null)
+  );
+
+  if (isJsonFormat()) {
+    const entry = {
+      severity,
+      message,
+      time: new Date().toISOString(),
+      ...data,
+    };
+    if (error instanceof Error) {
+      entry.message = `${message} ${error.message}`;
+      entry.stack_trace = error.stack;
+    } else if (error !== undefined) {
+      entry.error = String(error);
+    }
+    console[method](JSON.stringify(entry));
+    return;
+  }
+
+  const prefix = data.correlationId ? `[${data.correlationId}] ` : "";
+  if (error !== undefined) {
+    console[method](`${prefix}${message}`, error);
+  } else {
+    console[method](`${prefix}${message}`);
+  }
+}
+
+// 기본 필드(bindings)를 모든 로그에 붙이는 로거
+function createLogger(bindings = {}) {
+  const log = (level) => (message, fields = {}) =>
+    write(level, message, {...bindings, ...fields});
+
+  return {
+    bindings,
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (fields = {}) => createLogger({...bindings, ...fields}),
+  };
+}
+
+const logger = createLogger();
+
+// Bolt 전역 미들웨어 - 명령어, 버튼, 모달, 멘션마다 correlationId와 로거를 context에 추가
+async function slackCorrelationMiddleware({context, next}) {
+  context.correlationId = createCorrelationId();
+  context.log = logger.child({correlationId: context.correlationId});
+  await next();
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  createCorrelationId,
+  slackCorrelationMiddleware,
+};
@@ -0,0 +1,219 @@
+const {AsyncLocalStorage} = require("async_hooks");
+const client = require("prom-client");
+
+// Prometheus 지표 (GET /metrics)
+const register = new client.Registry();
+const PREFIX = "geek_news_";
+
+client.collectDefaultMetrics({register, prefix: PREFIX});
+
+// 캐시 나이, 세션 수처럼 스크랩할 때 읽는 값 (index.js에서 등록)
+let stateProvider = () => ({});
+
+function setStateProvider(provider) {
+  stateProvider = provider;
+}
+
+// ---- 피드 수집 ----
+
+const feedFetchDuration = new client.Histogram({
+  name: `${PREFIX}feed_fetch_duration_seconds`,
+  help: "피드 하나를 가져와 파싱하는 데 걸린 시간",
+  labelNames: ["feed", "outcome"],
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60],
+  registers: [register],
+});
+
+const feedFetchTotal = new client.Counter({
+  name: `${PREFIX}feed_fetch_total`,
+  help: "피드 수집 결과 (outcome: success, not_modified, empty, error, circuit_open)",
+  labelNames: ["feed", "outcome", "error_type"],
+  registers: [register],
+});
+
+const feedRetriesTotal = new client.Counter({
+  name: `${PREFIX}feed_fetch_retries_total`,
+  help: "피드 다운로드 재시도 횟수",
+  labelNames: ["feed"],
+  registers: [register],
+});
+
+const feedItems = new client.Gauge({
+  name: `${PREFIX}feed_items`,
+  help: "마지막 수집에서 피드가 반환한 아이템 수",
+  labelNames: ["feed"],
+  registers: [register],
+});
+
+const feedLastSuccess = new client.Gauge({
+  name: `${PREFIX}feed_last_success_timestamp_seconds`,
+  help: "피드를 마지막으로 성공적으로 수집한 시각 (아이템이 있을 때만)",
+  labelNames: ["feed"],
+  registers: [register],
+});
+
+// 피드 수집 결과 기록 (outcome이 error면 errorType은 categorizeError 결과)
+// 서킷 오픈으로 건너뛴 경우처럼 요청하지 않았으면 durationMs는 null
+function recordFeedFetch(feed, outcome, durationMs, options = {}) {
+  const {itemCount = 0, errorType = "none"} = options;
+
+  if (durationMs !== null) {
+    feedFetchDuration.observe({feed, outcome}, durationMs / 1000);
+  }
+  feedFetchTotal.inc({feed, outcome, error_type: errorType});
+
+  if (outcome !== "error" && outcome !== "circuit_open") {
+    feedItems.set({feed}, itemCount);
+  }
+  // 아이템이 없는 성공은 조용히 죽은 소스일 수 있으므로 마지막 성공으로 치지 않음
+  if (itemCount > 0) {
+    feedLastSuccess.set({feed}, Date.now() / 1000);
+  }
+}
+
+function recordFeedRetry(feed) {
+  feedRetriesTotal.inc({feed});
+}
+
+// ---- 캐시 ----
+
+const cacheLookupsTotal = new client.Counter({
+  name: `${PREFIX}cache_lookups_total`,
+  help: "피드 캐시 조회 결과 (result: hit, miss)",
+  labelNames: ["result"],
+  registers: [register],
+});
+
+function recordCacheLookup(hit) {
+  cacheLookupsTotal.inc({result: hit ? "hit" : "miss"});
+}
+
+new client.Gauge({
+  name: `${PREFIX}cache_age_seconds`,
+  help: "가장 오래된 캐시 항목의 나이",
+  registers: [register],
+  collect() {
+    this.set(stateProvider().cacheAgeSeconds || 0);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}cache_items`,
+  help: "캐시에 있는 뉴스 수 (state: fresh, stale)",
+  labelNames: ["state"],
+  registers: [register],
+  collect() {
+    const {cachedItems = 0, staleItems = 0} = stateProvider();
+    this.set({state: "fresh"}, cachedItems);
+    this.set({state: "stale"}, staleItems);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}sessions`,
+  help: "페이지네이션 세션 수 (type: news, search)",
+  labelNames: ["type"],
+  registers: [register],
+  collect() {
+    const {sessions = {}} = stateProvider();
+    for (const [type, count] of Object.entries(sessions)) {
+      this.set({type}, count);
+    }
+  },
+});
+
+// ---- Slack 핸들러 ----
+
+const handlerDuration = new client.Histogram({
+  name: `${PREFIX}slack_handler_duration_seconds`,
+  help: "슬래시 명령어, 버튼, 모달, 이벤트 처리 시간",
+  labelNames: ["type", "name"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const handlerErrorsTotal = new client.Counter({
+  name: `${PREFIX}slack_handler_errors_total`,
+  help: "처리 중 오류가 난 슬래시 명령어, 버튼, 모달, 이벤트 수",
+  labelNames: ["type", "name"],
+  registers: [register],
+});
+
+// 응답 후 백그라운드 작업의 오류 (캐시 갱신, 구독 알림, 스케줄 작업 등)
+const backgroundErrorsTotal = new client.Counter({
+  name: `${PREFIX}background_task_errors_total`,
+  help: "Slack 요청 밖에서 실행된 백그라운드 작업의 오류 수",
+  labelNames: ["task"],
+  registers: [register],
+});
+
+// 처리 중인 핸들러 상태 (핸들러 안에서 잡은 오류도 기록하기 위함)
+const handlerStore = new AsyncLocalStorage();
+
+// 요청 종류와 이름 (home_category_3처럼 번호가 붙은 action_id는 번호 제거)
+function describeRequest({body, command, action, event}) {
+  if (command) return {type: "command", name: command.command};
+  if (action) {
+    return {type: "action", name: action.action_id.replace(/_\d+$/, "")};
+  }
+  if (body.view && body.type?.startsWith("view_")) {
+    return {type: "view", name: body.view.callback_id || body.type};
+  }
+  if (event) return {type: "event", name: event.type};
+  return {type: "other", name: body.type || "unknown"};
+}
+
+// Bolt 전역 미들웨어 - 모든 핸들러의 처리 시간과 오류 기록
+async function slackHandlerMiddleware(args) {
+  const labels = describeRequest(args);
+  const state = {failed: false, finished: false, labels};
+  const endTimer = handlerDuration.startTimer(labels);
+
+  try {
+    await handlerStore.run(state, () => args.next());
+  } catch (error) {
+    state.failed = true;
+    throw error;
+  } finally {
+    endTimer();
+    state.finished = true;
+    if (state.failed) {
+      handlerErrorsTotal.inc(labels);
+    }
+  }
+}
+
+// 핸들러가 잡아서 사용자에게 안내한 오류 기록 (핸들러 밖에서는 무시)
+// 핸들러가 ack 후 백그라운드로 넘긴 작업의 오류는 미들웨어가 끝난 뒤라 바로 집계
+function recordHandlerError() {
+  const state = handlerStore.getStore();
+  if (!state) return;
+
+  if (state.finished) {
+    handlerErrorsTotal.inc(state.labels);
+  } else {
+    state.failed = true;
+  }
+}
+
+// 백그라운드 작업 오류 기록 (task: cache_refresh, subscription_alert, 스케줄 작업 이름 등)
+function recordBackgroundError(task) {
+  backgroundErrorsTotal.inc({task});
+}
+
+// Prometheus 텍스트 형식 지표
+function getMetrics() {
+  return register.metrics();
+}
+
+module.exports = {
+  contentType: register.contentType,
+  setStateProvider,
+  recordFeedFetch,
+  recordFeedRetry,
+  recordCacheLookup,
+  slackHandlerMiddleware,
+  recordHandlerError,
+  recordBackgroundError,
+  getMetrics,
+};
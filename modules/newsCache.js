@@ -1,5 +1,14 @@
 const Parser = require("rss-parser");
 const axios = require("axios");
+const feedRegistry = require("./feedRegistry");
+const {createCacheStore} = require("./cacheStore");
+const feedHealth = require("./feedHealth");
+const {canonicalizeUrl, dedupeItems} = require("./dedup");
+const {SearchIndex} = require("./searchIndex");
+const {summarizeArticle} = require("./summarizer");
+const {createClassifier} = require("./categories");
+const metrics = require("./metrics");
+const {logger} = require("./logger");
 
 // RSS 제목 정리 함수
 function cleanRSSTitle(title) {
@@ -66,20 +75,40 @@ const httpClient = axios.create({
   }),
 });
 
-// 간단한 인메모리 캐시 (Cloud Run 인스턴스 생존 시간 동안만 유효)
+// 캐시 변경 후 저장소에 쓰기까지 기다리는 시간
+const PERSIST_DELAY = 1000;
+
+// 간단한 캐시 (저장소는 CACHE_BACKEND 환경 변수로 선택, 기본값은 인메모리)
 class SimpleCache {
-  constructor() {
-    this.cache = new Map();
+  constructor(store = createCacheStore()) {
+    this.store = store;
     this.CACHE_TTL = 10 * 60 * 1000; // 10분 (Cloud Run 인스턴스 유지 시간 고려)
-    this.feedStats = new Map(); // 피드별 통계 저장
+    // 영구 저장소 사용 시 만료된 데이터도 갱신 전까지 응답에 사용 (콜드 스타트 대응)
+    this.STALE_TTL = store.persistent ? 24 * 60 * 60 * 1000 : 0;
+
+    const snapshot = store.load();
+    this.cache = new Map(Object.entries(snapshot.entries));
+    this.feedStats = new Map(Object.entries(snapshot.feedStats)); // 피드별 통계 저장
+    // 피드별 ETag / Last-Modified 와 마지막으로 파싱한 아이템 (조건부 요청용)
+    this.validators = new Map(Object.entries(snapshot.validators));
+    // 저장 예약 타이머 (변경이 몰려도 파일 쓰기는 한 번으로 묶음)
+    this.persistTimer = null;
+  }
+
+  // 갱신 전까지 사용할 수도 없을 만큼 오래된 항목인지 확인
+  isDiscardable(entry, now) {
+    return now - entry.timestamp > Math.max(this.CACHE_TTL, this.STALE_TTL);
   }
 
   get(key) {
     const cached = this.cache.get(key);
     if (!cached) return null;
 
-    if (Date.now() - cached.timestamp > this.CACHE_TTL) {
-      this.cache.delete(key);
+    const now = Date.now();
+    if (now - cached.timestamp > this.CACHE_TTL) {
+      if (this.isDiscardable(cached, now)) {
+        this.delete(key);
+      }
       return null;
     }
 
@@ -91,6 +120,39 @@ class SimpleCache {
       data,
       timestamp: Date.now(),
     });
+    this.persist();
+  }
+
+  delete(key) {
+    if (this.cache.delete(key)) {
+      this.persist();
+    }
+  }
+
+  setFeedStats(name, stats) {
+    this.feedStats.set(name, stats);
+    this.persist();
+  }
+
+  deleteFeedStats(name) {
+    if (this.feedStats.delete(name)) {
+      this.persist();
+    }
+  }
+
+  getValidator(url) {
+    return this.validators.get(url) || null;
+  }
+
+  setValidator(url, validator) {
+    this.validators.set(url, validator);
+    this.persist();
+  }
+
+  deleteValidator(url) {
+    if (this.validators.delete(url)) {
+      this.persist();
+    }
   }
 
   getAll() {
@@ -100,54 +162,222 @@ class SimpleCache {
     for (const [key, value] of this.cache.entries()) {
       if (now - value.timestamp <= this.CACHE_TTL) {
         items.push(...value.data);
-      } else {
-        this.cache.delete(key);
+      } else if (this.isDiscardable(value, now)) {
+        this.delete(key);
       }
     }
 
     return items;
   }
+
+  // 만료되었지만 아직 버리지 않은 항목까지 포함한 전체 아이템
+  getAllStale() {
+    const items = [];
+    const now = Date.now();
+
+    for (const value of this.cache.values()) {
+      if (!this.isDiscardable(value, now)) {
+        items.push(...value.data);
+      }
+    }
+
+    return items;
+  }
+
+  // 변경 후 저장 예약 (PERSIST_DELAY 동안 들어온 변경을 한 번에 저장)
+  persist() {
+    if (!this.store.persistent || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY);
+    this.persistTimer.unref();
+  }
+
+  // 예약된 저장을 바로 실행 (전체 갱신이 끝났을 때 호출)
+  flush() {
+    if (!this.persistTimer) return;
+
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.store.save({
+      entries: Object.fromEntries(this.cache),
+      feedStats: Object.fromEntries(this.feedStats),
+      validators: Object.fromEntries(this.validators),
+    });
+  }
 }
 
 const cache = new SimpleCache();
 
+// 전체 수집 목표 아이템 수 (활성 피드 수로 나눠 피드당 수집 개수 결정)
+const TOTAL_TARGET = 100;
+
+// 피드 통계 저장 (조건부 요청으로 다운로드를 생략한 횟수는 누적)
+function recordFeedStats(feedName, stats, notModified) {
+  const previous = cache.feedStats.get(feedName) || {};
+
+  cache.setFeedStats(feedName, {
+    ...stats,
+    downloads: (previous.downloads || 0) + (notModified ? 0 : 1),
+    notModified: (previous.notModified || 0) + (notModified ? 1 : 0),
+  });
+}
+
+// 아이템 본문 요약 (한 글의 본문 오류로 피드 전체가 실패하지 않도록 요약 없이 계속)
+function summarizeItem(item, title, log) {
+  try {
+    return summarizeArticle(
+      item.contentEncoded || item.content || item.contentSnippet,
+      title
+    );
+  } catch (error) {
+    log.warn(`⚠️ 본문 요약 실패, 요약 없이 저장합니다: ${title}`, {
+      errorType: error.name,
+      error: error.message,
+    });
+    return {content: "", summary: null, summaryLong: null};
+  }
+}
+
+// 피드 수집 오류 유형별 표시 이름
+const FEED_ERROR_LABELS = {
+  http: "HTTP 오류",
+  html: "HTML/잘못된 형식 응답",
+  xml: "XML 파싱 실패",
+  timeout: "타임아웃",
+  socket: "소켓 연결 끊김 (socket hang up)",
+  dns: "DNS 해석 실패",
+  refused: "연결 거부됨",
+  unknown: "기타 오류",
+};
+
+// 피드 수집 오류 분류 (로그와 피드 상태 기록에 사용)
+function categorizeError(error) {
+  const message = error.message || "";
+
+  if (error.response?.status) return "http";
+  if (message.includes("Non-whitespace before first tag")) return "html";
+  if (
+    message.includes("Unable to parse XML") ||
+    message.includes("Unexpected end") ||
+    message.includes("Feed not recognized")
+  ) {
+    return "xml";
+  }
+  if (error.code === "ECONNABORTED" || message.includes("timeout")) {
+    return "timeout";
+  }
+  if (error.code === "ECONNRESET" || message.includes("socket hang up")) {
+    return "socket";
+  }
+  if (error.code === "ENOTFOUND") return "dns";
+  if (error.code === "ECONNREFUSED") return "refused";
+  return "unknown";
+}
+
+// 뉴스 검색 색인 (캐시 갱신 시 다시 생성)
+const searchIndex = new SearchIndex();
+
+// 캐시 갱신 리스너 (피드를 새로 수집할 때마다 전체 뉴스 목록과 함께 호출)
+const refreshListeners = [];
+
+function onNewsRefreshed(listener) {
+  refreshListeners.push(listener);
+}
+
+function notifyRefreshListeners(items) {
+  for (const listener of refreshListeners) {
+    Promise.resolve()
+      .then(() => listener(items))
+      .catch((error) => {
+        logger.error("❌ 캐시 갱신 리스너 처리 중 오류:", {error});
+        metrics.recordBackgroundError("refresh_listener");
+      });
+  }
+}
+
 // 로딩 상태 관리 (Cloud Run에서도 필요)
 let isCurrentlyLoading = false;
 let loadingStartTime = null;
 
 // 개선된 RSS 파싱 (axios 사용)
-async function parseRSSFeedSafe(feed, itemsPerFeed) {
+// options.dryRun: 캐시를 읽거나 쓰지 않고, 실패 시 빈 배열 대신 오류를 던짐 (피드 등록 검증용)
+// options.correlationId: 이 수집을 요청한 명령어/다이제스트의 ID (모든 로그에 포함)
+async function parseRSSFeedSafe(feed, itemsPerFeed, options = {}) {
+  const {dryRun = false, correlationId} = options;
+  const log = logger.child({correlationId, feed: feed.name});
   const startTime = Date.now();
 
   // 캐시 확인
-  const cached = cache.get(feed.url);
+  const cached = dryRun ? null : cache.get(feed.url);
+  if (!dryRun) {
+    metrics.recordCacheLookup(Boolean(cached));
+  }
   if (cached) {
-    console.log(`📦 [${feed.name}] 캐시 히트 (${cached.length}개)`);
+    log.info(`📦 [${feed.name}] 캐시 히트 (${cached.length}개)`);
     return cached;
   }
 
+  // 연속 실패로 서킷이 열린 피드는 쿨다운 동안 건너뜀
+  const circuitRemaining = dryRun
+    ? 0
+    : feedHealth.getCircuitRemaining(feed.name);
+  if (circuitRemaining > 0) {
+    log.warn(
+      `⏭️ [${feed.name}] 서킷 오픈 - 건너뜀 (${Math.ceil(
+        circuitRemaining / 60000
+      )}분 남음)`
+    );
+    metrics.recordFeedFetch(feed.name, "circuit_open", null);
+    return [];
+  }
+
   try {
-    console.log(`🔄 [${feed.name}] RSS 파싱 시작...`);
+    log.info(`🔄 [${feed.name}] RSS 파싱 시작...`);
+
+    // 이전 응답의 ETag / Last-Modified로 조건부 요청 헤더 구성
+    const validator = dryRun ? null : cache.getValidator(feed.url);
+    const conditionalHeaders = {};
+    if (validator?.etag) {
+      conditionalHeaders["If-None-Match"] = validator.etag;
+    }
+    if (validator?.lastModified) {
+      conditionalHeaders["If-Modified-Since"] = validator.lastModified;
+    }
 
     // axios로 XML 데이터 먼저 가져오기 (재시도 로직 포함)
     let xmlData;
     let lastError;
+    let notModified = false;
+    let responseHeaders = {};
 
     // 최대 3번 시도 (각 시도마다 확실한 완료 대기)
     for (let attempt = 1; attempt <= 3; attempt++) {
       try {
-        console.log(`🔄 [${feed.name}] 시도 ${attempt}/3 (XML 다운로드 시작)`);
+        log.debug(`🔄 [${feed.name}] 시도 ${attempt}/3 (XML 다운로드 시작)`, {
+          attempt,
+        });
 
         const response = await httpClient.get(feed.url, {
           responseType: "text", // XML을 text로 받음
+          headers: conditionalHeaders,
+          validateStatus: (status) =>
+            (status >= 200 && status < 300) || status === 304,
         });
 
+        // 304 Not Modified - 이전에 파싱한 아이템 재사용
+        if (response.status === 304 && validator?.items) {
+          notModified = true;
+          log.info(`♻️ [${feed.name}] 304 Not Modified (다운로드 생략)`);
+          break;
+        }
+
         if (!response.data || response.data.trim().length === 0) {
           throw new Error("Empty response data");
         }
 
         xmlData = response.data;
-        console.log(
+        responseHeaders = response.headers || {};
+        log.info(
           `📥 [${feed.name}] XML 다운로드 완료 (${Math.floor(
             xmlData.length / 1024
           )}KB)`
@@ -173,16 +403,52 @@ async function parseRSSFeedSafe(feed, itemsPerFeed) {
           const isSocketError = err.code === "ECONNRESET" || errorMsg.includes("socket hang up");
           const waitTime = isSocketError ? attempt * 2000 : attempt * 1000; // socket 오류시 2초, 4초 대기
           
-          console.warn(
-            `⚠️ [${feed.name}] 시도 ${attempt} 실패 (${errorMsg}), ${waitTime}ms 후 재시도...`
+          log.warn(
+            `⚠️ [${feed.name}] 시도 ${attempt} 실패 (${errorMsg}), ${waitTime}ms 후 재시도...`,
+            {attempt, errorType: categorizeError(err)}
           );
+          if (!dryRun) {
+            metrics.recordFeedRetry(feed.name);
+          }
           await new Promise((resolve) => setTimeout(resolve, waitTime));
         } else {
-          console.error(`❌ [${feed.name}] 모든 시도 실패 (${errorMsg})`);
+          log.error(`❌ [${feed.name}] 모든 시도 실패 (${errorMsg})`, {
+            attempt,
+            errorType: categorizeError(err),
+          });
         }
       }
     }
 
+    if (notModified) {
+      const items = validator.items.slice(0, itemsPerFeed);
+
+      // 새로 받은 것과 동일하게 캐시에 저장 (TTL 갱신)
+      cache.set(feed.url, items);
+      recordFeedStats(
+        feed.name,
+        {
+          original: validator.original,
+          valid: validator.items.length,
+          returned: items.length,
+          requested: itemsPerFeed,
+        },
+        true
+      );
+
+      const duration = Date.now() - startTime;
+      feedHealth.recordSuccess(feed.name, duration);
+      metrics.recordFeedFetch(feed.name, "not_modified", duration, {
+        itemCount: items.length,
+      });
+      log.info(
+        `✅ [${feed.name}] 성공 (${duration}ms, 304 재사용: ${items.length}/${itemsPerFeed}개)`,
+        {durationMs: duration, itemCount: items.length, notModified: true}
+      );
+
+      return items;
+    }
+
     if (!xmlData) {
       throw lastError || new Error("Failed to fetch XML data");
     }
@@ -192,12 +458,18 @@ async function parseRSSFeedSafe(feed, itemsPerFeed) {
 
     // 아이템이 없으면 빈 배열 반환
     if (!parsedFeed.items || parsedFeed.items.length === 0) {
-      console.warn(`⚠️ [${feed.name}] 아이템 없음`);
+      if (dryRun) {
+        throw new Error("피드에 아이템이 없습니다");
+      }
+      const duration = Date.now() - startTime;
+      log.warn(`⚠️ [${feed.name}] 아이템 없음`, {durationMs: duration});
+      feedHealth.recordSuccess(feed.name, duration);
+      metrics.recordFeedFetch(feed.name, "empty", duration);
       return [];
     }
 
     // 원본 피드의 아이템 수 로깅
-    console.log(
+    log.debug(
       `📊 [${feed.name}] 원본 피드: ${parsedFeed.items.length}개 아이템`
     );
 
@@ -205,87 +477,127 @@ async function parseRSSFeedSafe(feed, itemsPerFeed) {
     const validItems = parsedFeed.items.filter(
       (item) => item.link || item.guid
     );
-    console.log(
+    log.debug(
       `🔗 [${feed.name}] 유효한 아이템: ${validItems.length}개 (link 있음)`
     );
 
-    // 필요한 수만큼 가져오기 (제목과 링크 정리 포함)
-    const items = validItems.slice(0, itemsPerFeed).map((item) => ({
-      title: cleanRSSTitle(item.title) || "No title",
-      link: cleanRSSLink(item.link || item.guid || ""),
-      pubDate: item.pubDate || item.isoDate,
-      isoDate: item.isoDate || item.pubDate,
-      source: feed.name,
-      contentSnippet: item.contentSnippet || "",
-    }));
+    // 제목과 링크 정리 (304 응답 시 재사용할 수 있도록 전체 아이템 변환)
+    const classify = createClassifier();
+    const allItems = validItems.map((item) => {
+      const title = cleanRSSTitle(item.title) || "No title";
+      const contentSnippet = item.contentSnippet || "";
+      return {
+        title,
+        link: canonicalizeUrl(cleanRSSLink(item.link || item.guid || "")),
+        pubDate: item.pubDate || item.isoDate,
+        isoDate: item.isoDate || item.pubDate,
+        source: feed.name,
+        contentSnippet,
+        // 키워드 규칙으로 분류한 주제 카테고리
+        categories: classify({title, contentSnippet}),
+        // 본문 텍스트와 추출 요약 (content:encoded가 없으면 content/요약 사용)
+        ...summarizeItem(item, title, log),
+      };
+    });
+
+    // 필요한 수만큼 가져오기
+    const items = allItems.slice(0, itemsPerFeed);
+
+    if (dryRun) {
+      log.info(
+        `✅ [${feed.name}] 검증 성공 (${Date.now() - startTime}ms, ${items.length}개)`
+      );
+      return items;
+    }
 
     // 캐시에 저장
     cache.set(feed.url, items);
 
+    // 다음 요청에서 사용할 ETag / Last-Modified 저장
+    const etag = responseHeaders.etag;
+    const lastModified = responseHeaders["last-modified"];
+    if (etag || lastModified) {
+      cache.setValidator(feed.url, {
+        etag: etag || null,
+        lastModified: lastModified || null,
+        original: parsedFeed.items.length,
+        items: allItems,
+      });
+    } else {
+      cache.deleteValidator(feed.url);
+    }
+
     // 피드 통계 저장
-    cache.feedStats.set(feed.name, {
-      original: parsedFeed.items.length,
-      valid: validItems.length,
-      returned: items.length,
-      requested: itemsPerFeed,
-    });
+    recordFeedStats(
+      feed.name,
+      {
+        original: parsedFeed.items.length,
+        valid: validItems.length,
+        returned: items.length,
+        requested: itemsPerFeed,
+      },
+      false
+    );
 
     const duration = Date.now() - startTime;
-    console.log(
-      `✅ [${feed.name}] 성공 (${duration}ms, 최종: ${items.length}/${itemsPerFeed}개)`
+    feedHealth.recordSuccess(feed.name, duration);
+    metrics.recordFeedFetch(feed.name, "success", duration, {
+      itemCount: items.length,
+    });
+    log.info(
+      `✅ [${feed.name}] 성공 (${duration}ms, 최종: ${items.length}/${itemsPerFeed}개)`,
+      {durationMs: duration, itemCount: items.length}
     );
 
     return items;
   } catch (error) {
     const duration = Date.now() - startTime;
+    const errorType = categorizeError(error);
 
     // 구체적인 에러 로깅
-    if (error.response?.status) {
-      console.error(
-        `❌ [${feed.name}] HTTP ${error.response.status} (${duration}ms)`
+    const errorFields = {errorType, durationMs: duration};
+    if (errorType === "http") {
+      log.error(
+        `❌ [${feed.name}] HTTP ${error.response.status} (${duration}ms)`,
+        {...errorFields, status: error.response.status}
+      );
+    } else if (errorType === "xml") {
+      log.error(
+        `❌ [${feed.name}] XML 파싱 실패 (${duration}ms) - 데이터 잘림 가능`,
+        errorFields
       );
-    } else if (error.message.includes("Non-whitespace before first tag")) {
-      console.error(`❌ [${feed.name}] HTML/잘못된 형식 응답 (${duration}ms)`);
-    } else if (
-      error.message.includes("Unable to parse XML") ||
-      error.message.includes("Unexpected end")
-    ) {
-      console.error(
-        `❌ [${feed.name}] XML 파싱 실패 (${duration}ms) - 데이터 잘림 가능`
+    } else if (errorType === "unknown") {
+      log.error(
+        `❌ [${feed.name}] ${error.message} (${duration}ms)`,
+        errorFields
       );
-    } else if (
-      error.code === "ECONNABORTED" ||
-      error.message.includes("timeout")
-    ) {
-      console.error(`❌ [${feed.name}] 타임아웃 (${duration}ms)`);
-    } else if (error.code === "ENOTFOUND" || error.code === "ECONNRESET") {
-      console.error(`❌ [${feed.name}] 네트워크 연결 오류 (${duration}ms)`);
     } else {
-      console.error(`❌ [${feed.name}] ${error.message} (${duration}ms)`);
+      log.error(
+        `❌ [${feed.name}] ${FEED_ERROR_LABELS[errorType]} (${duration}ms)`,
+        errorFields
+      );
+    }
+
+    if (dryRun) {
+      throw error;
     }
 
+    feedHealth.recordFailure(feed.name, errorType, error.message, duration);
+    metrics.recordFeedFetch(feed.name, "error", duration, {errorType});
+
     return []; // 실패해도 빈 배열 반환 (다른 피드 처리 계속)
   }
 }
 
-// RSS 피드 목록 (안정성 순으로 정렬)
-const RSS_FEEDS = [
-  {name: "Engineering at Meta", url: "https://engineering.fb.com/feed/"},
-  {name: "Naver D2", url: "https://d2.naver.com/d2.atom"},
-  {name: "Hacker News", url: "https://hnrss.org/frontpage"},
-  {name: "Dev.to", url: "https://dev.to/feed"},
-  {name: "GitHub Blog", url: "https://github.blog/feed/"},
-  {name: "InfoQ", url: "https://www.infoq.com/rss/"},
-  {name: "Smashing Magazine", url: "https://www.smashingmagazine.com/feed/"},
-  {name: "A List Apart", url: "https://alistapart.com/main/feed/"},
-];
-
 // 병렬 처리 - 모든 피드 완료까지 대기 (개별 타임아웃 제거)
-async function fetchWithFastFail(feeds, itemsPerFeed) {
-  console.log(`🔄 ${feeds.length}개 피드 병렬 파싱 시작 (개별 완료까지 대기)`);
+async function fetchWithFastFail(feeds, itemsPerFeed, correlationId) {
+  const log = logger.child({correlationId});
+  log.info(`🔄 ${feeds.length}개 피드 병렬 파싱 시작 (개별 완료까지 대기)`);
 
   // Promise.allSettled로 모든 피드가 완전히 완료될 때까지 대기
-  const promises = feeds.map((feed) => parseRSSFeedSafe(feed, itemsPerFeed));
+  const promises = feeds.map((feed) =>
+    parseRSSFeedSafe(feed, itemsPerFeed, {correlationId})
+  );
   const results = await Promise.allSettled(promises);
 
   let successCount = 0;
@@ -297,76 +609,71 @@ async function fetchWithFastFail(feeds, itemsPerFeed) {
       totalItems += result.value.length;
       return result.value;
     } else {
-      console.error(
-        `❌ [${feeds[index].name}] Promise 처리 실패: ${result.reason}`
+      log.error(
+        `❌ [${feeds[index].name}] Promise 처리 실패: ${result.reason}`,
+        {feed: feeds[index].name}
       );
       return [];
     }
   });
 
-  console.log(
+  log.info(
     `📊 피드 파싱 완료: ${successCount}/${feeds.length} 성공, 총 ${totalItems}개 아이템`
   );
   return processedResults;
 }
 
-// Cloud Run 최적화된 뉴스 가져오기
-async function fetchAllNewsCloudRun(limit = null) {
-  const startTime = Date.now();
-
-  try {
-    // 1. 로딩 상태 우선 확인 (캐시 확인 전에)
-    if (isCurrentlyLoading) {
-      const loadingTime = Math.floor((Date.now() - loadingStartTime) / 1000);
-      console.log(`⏳ 이미 로딩 중 (${loadingTime}초 경과)`);
-      return [];
-    }
+// 날짜가 있는 아이템만 최신순으로 정렬한 뒤 여러 소스에 실린 같은 글을 병합
+function sortByDate(items) {
+  const sortedItems = items
+    .filter((item) => item.pubDate || item.isoDate)
+    .sort((a, b) => {
+      const dateA = new Date(a.isoDate || a.pubDate);
+      const dateB = new Date(b.isoDate || b.pubDate);
+      return dateB - dateA;
+    });
 
-    // 2. 캐시 확인 (인스턴스가 살아있는 경우)
-    const cachedItems = cache.getAll();
-    if (cachedItems.length > 0) {
-      console.log(`⚡ 캐시 히트! ${cachedItems.length}개 아이템`);
+  return dedupeItems(sortedItems);
+}
 
-      // 정렬 및 필터링
-      const sortedItems = cachedItems
-        .filter((item) => item.pubDate || item.isoDate)
-        .sort((a, b) => {
-          const dateA = new Date(a.isoDate || a.pubDate);
-          const dateB = new Date(b.isoDate || b.pubDate);
-          return dateB - dateA;
-        });
+// 모든 피드 새로 수집 (캐시 미스 또는 백그라운드 갱신 시 사용)
+async function refreshAllFeeds(correlationId) {
+  const log = logger.child({correlationId});
+  const startTime = Date.now();
 
-      const duration = Date.now() - startTime;
-      console.log(`✅ 캐시 응답 시간: ${duration}ms`);
+  isCurrentlyLoading = true;
+  loadingStartTime = Date.now();
 
-      return limit ? sortedItems.slice(0, limit) : sortedItems;
+  try {
+    // 레지스트리에서 활성화된 피드 목록 가져오기
+    const feeds = feedRegistry.getActiveFeeds();
+    if (feeds.length === 0) {
+      log.warn("⚠️ 활성화된 피드가 없습니다.");
+      return [];
     }
 
-    // 3. 캐시 미스 - 새로 가져오기 (로딩 상태 설정)
-    isCurrentlyLoading = true;
-    loadingStartTime = Date.now();
-    console.log("🔄 캐시 미스, RSS 피드 파싱 시작...");
-
-    const TOTAL_TARGET = 100;
-
     // 첫 번째 시도: 각 피드당 목표 개수 가져오기
-    const itemsPerFeed = Math.ceil(TOTAL_TARGET / RSS_FEEDS.length);
-    console.log(`🎯 목표: 각 피드에서 ${itemsPerFeed}개 수집`);
+    const itemsPerFeed = Math.ceil(TOTAL_TARGET / feeds.length);
+    log.info(`🎯 목표: 각 피드에서 ${itemsPerFeed}개 수집`);
 
     // 모든 피드 한번에 처리
-    const allResults = await fetchWithFastFail(RSS_FEEDS, itemsPerFeed);
+    const allResults = await fetchWithFastFail(
+      feeds,
+      itemsPerFeed,
+      correlationId
+    );
     let allItems = allResults.flat();
 
     // 피드별 수집 현황 확인
     if (cache.feedStats.size > 0) {
-      console.log("📊 피드별 수집 결과:");
+      log.info("📊 피드별 수집 결과:");
       let totalCollected = 0;
       const underperformingFeeds = [];
       const wellPerformingFeeds = [];
 
       for (const [name, stats] of cache.feedStats) {
         totalCollected += stats.returned;
-        console.log(
+        log.info(
           `${name}: ${stats.returned}/${itemsPerFeed}개 (원본: ${stats.original}개)`
         );
 
@@ -385,22 +692,23 @@ async function fetchAllNewsCloudRun(limit = null) {
         const shortfall = underperformingFeeds.length * (itemsPerFeed - 10); // 각 부족 피드당 약 10개 부족
         const extraPerFeed = Math.ceil(shortfall / wellPerformingFeeds.length);
 
-        console.log(
+        log.info(
           `🔄 ${wellPerformingFeeds
             .map((f) => f.name)
             .join(", ")}에서 추가 ${extraPerFeed}개씩 수집 시도`
         );
 
         // 충분한 아이템이 있는 피드들에서 추가로 가져오기
-        const feedsToReparse = RSS_FEEDS.filter((f) =>
+        const feedsToReparse = feeds.filter((f) =>
           wellPerformingFeeds.some((wf) => wf.name === f.name)
         );
         const extraResults = await fetchWithFastFail(
           feedsToReparse,
-          itemsPerFeed + extraPerFeed
+          itemsPerFeed + extraPerFeed,
+          correlationId
         );
 
-        // 중복 제거하며 병합
+        // 중복 제거하며 병합 (소스 간 중복은 정렬 단계에서 병합)
         const existingLinks = new Set(allItems.map((item) => item.link));
         const newItems = extraResults
           .flat()
@@ -408,50 +716,121 @@ async function fetchAllNewsCloudRun(limit = null) {
 
         if (newItems.length > 0) {
           allItems = [...allItems, ...newItems];
-          console.log(
+          log.info(
             `✅ ${newItems.length}개 추가 아이템 수집 완료 (총 ${allItems.length}개)`
           );
         }
       }
 
-      console.log(`📈 최종 수집: ${allItems.length}개 아이템`);
+      log.info(`📈 최종 수집: ${allItems.length}개 아이템`);
     }
 
     // 정렬 및 필터링
-    const sortedItems = allItems
-      .filter((item) => item.pubDate || item.isoDate)
-      .sort((a, b) => {
-        const dateA = new Date(a.isoDate || a.pubDate);
-        const dateB = new Date(b.isoDate || b.pubDate);
-        return dateB - dateA;
-      });
+    const sortedItems = sortByDate(allItems);
 
     const duration = Date.now() - startTime;
-    console.log(`✅ RSS 파싱 완료: ${duration}ms (${sortedItems.length}개)`);
+    log.info(`✅ RSS 파싱 완료: ${duration}ms (${sortedItems.length}개)`, {
+      durationMs: duration,
+      itemCount: sortedItems.length,
+    });
 
-    return limit ? sortedItems.slice(0, limit) : sortedItems;
-  } catch (error) {
-    console.error("❌ 뉴스 가져오기 실패:", error);
-    return [];
+    searchIndex.build(sortedItems);
+    notifyRefreshListeners(sortedItems);
+
+    return sortedItems;
   } finally {
     isCurrentlyLoading = false;
     loadingStartTime = null;
+    cache.flush();
+  }
+}
+
+// Cloud Run 최적화된 뉴스 가져오기
+// options.limit: 최대 개수, options.correlationId: 요청한 명령어/다이제스트의 ID (피드 수집 로그까지 전달)
+async function fetchAllNewsCloudRun(options = {}) {
+  const {limit = null, correlationId} = options;
+  const log = logger.child({correlationId});
+  const startTime = Date.now();
+
+  try {
+    // 1. 로딩 상태 우선 확인 (캐시 확인 전에)
+    if (isCurrentlyLoading) {
+      const loadingTime = Math.floor((Date.now() - loadingStartTime) / 1000);
+      log.info(`⏳ 이미 로딩 중 (${loadingTime}초 경과)`);
+
+      // 영구 저장소를 쓰는 경우 갱신이 끝날 때까지 저장된 데이터로 응답
+      if (!cache.store.persistent) {
+        return [];
+      }
+      const staleItems = sortByDate(cache.getAllStale());
+      return limit ? staleItems.slice(0, limit) : staleItems;
+    }
+
+    // 2. 캐시 확인 (인스턴스가 살아있는 경우)
+    const cachedItems = cache.getAll();
+    if (cachedItems.length > 0) {
+      log.info(`⚡ 캐시 히트! ${cachedItems.length}개 아이템`);
+
+      // 정렬 및 필터링
+      const sortedItems = sortByDate(cachedItems);
+
+      const duration = Date.now() - startTime;
+      log.info(`✅ 캐시 응답 시간: ${duration}ms`, {durationMs: duration});
+
+      return limit ? sortedItems.slice(0, limit) : sortedItems;
+    }
+
+    // 3. 만료된 캐시 확인 (영구 저장소에서 복원된 경우) - 우선 응답 후 백그라운드 갱신
+    const staleItems = cache.getAllStale();
+    if (staleItems.length > 0) {
+      log.info(
+        `♻️ 저장된 캐시로 우선 응답 (${staleItems.length}개), 백그라운드 갱신 시작`
+      );
+      refreshAllFeeds(correlationId).catch((error) => {
+        log.error("❌ 백그라운드 캐시 갱신 실패:", {error});
+        metrics.recordBackgroundError("cache_refresh");
+      });
+
+      const sortedItems = sortByDate(staleItems);
+      return limit ? sortedItems.slice(0, limit) : sortedItems;
+    }
+
+    // 4. 캐시 미스 - 새로 가져오기
+    log.info("🔄 캐시 미스, RSS 피드 파싱 시작...");
+    const sortedItems = await refreshAllFeeds(correlationId);
+
+    return limit ? sortedItems.slice(0, limit) : sortedItems;
+  } catch (error) {
+    log.error("❌ 뉴스 가져오기 실패:", {error});
+    return [];
   }
 }
 
 // 캐시 상태 확인
 function getCacheStatus() {
   const allCached = cache.getAll();
+  const staleCached = cache.getAllStale().length - allCached.length;
   const feedStatus = {};
+  const downloadStats = {};
 
-  for (const feed of RSS_FEEDS) {
+  for (const feed of feedRegistry.getActiveFeeds()) {
     const items = cache.get(feed.url);
     feedStatus[feed.name] = items ? items.length : 0;
+
+    const stats = cache.feedStats.get(feed.name);
+    downloadStats[feed.name] = {
+      downloads: stats?.downloads || 0,
+      notModified: stats?.notModified || 0,
+    };
   }
 
   return {
     totalCached: allCached.length,
+    staleCached,
+    backend: cache.store.name,
+    persistent: cache.store.persistent,
     feeds: feedStatus,
+    downloads: downloadStats,
     isLoading: isCurrentlyLoading,
     loadingTime:
       isCurrentlyLoading && loadingStartTime
@@ -467,30 +846,33 @@ function getCacheStatus() {
               1000
           )
         : 0,
+    lastRefreshedAt:
+      cache.cache.size > 0
+        ? new Date(
+            Math.max(...Array.from(cache.cache.values()).map((v) => v.timestamp))
+          ).toISOString()
+        : null,
   };
 }
 
-// 뉴스 검색 함수
-async function searchNews(keyword, limit = null) {
-  const allNews = await fetchAllNewsCloudRun();
+// 뉴스 검색 함수 (query: searchQuery.parseSearchQuery 결과)
+// options.correlationId: fetchAllNews와 같이 로그 추적용 ID
+async function searchNews(query, limit = null, options = {}) {
+  const {correlationId} = options;
+  const allNews = await fetchAllNewsCloudRun({correlationId});
 
-  if (!keyword || keyword.trim().length === 0) {
+  if (!query) {
     return limit ? allNews.slice(0, limit) : allNews;
   }
 
-  const searchTerm = keyword.toLowerCase().trim();
-  const filteredNews = allNews.filter((item) => {
-    const titleMatch = item.title.toLowerCase().includes(searchTerm);
-    const contentMatch =
-      item.contentSnippet &&
-      item.contentSnippet.toLowerCase().includes(searchTerm);
-    const sourceMatch = item.source.toLowerCase().includes(searchTerm);
+  // 검색 조건에 맞는 뉴스를 관련도순으로 정렬
+  searchIndex.ensure(allNews);
+  const filteredNews = searchIndex.search(query);
 
-    return titleMatch || contentMatch || sourceMatch;
+  logger.info(`🔍 검색어 "${query.text}": ${filteredNews.length}개 결과`, {
+    correlationId,
   });
 
-  console.log(`🔍 검색어 "${keyword}": ${filteredNews.length}개 결과`);
-
   return limit ? filteredNews.slice(0, limit) : filteredNews;
 }
 
@@ -499,9 +881,148 @@ function isLoadingNews() {
   return isCurrentlyLoading;
 }
 
+// 새 피드를 한 번 파싱해 검증한 뒤 레지스트리에 등록
+// options.correlationId: 등록을 요청한 명령어의 ID (검증 수집 로그에 포함)
+async function registerFeed(name, url, addedBy = null, options = {}) {
+  const trimmedName = (name || "").trim();
+  const trimmedUrl = (url || "").trim();
+
+  if (!feedRegistry.isValidFeedUrl(trimmedUrl)) {
+    throw new Error(`올바른 URL이 아닙니다: ${trimmedUrl}`);
+  }
+  if (feedRegistry.findFeed(trimmedName) || feedRegistry.findFeed(trimmedUrl)) {
+    throw new Error(`이미 등록된 피드입니다: ${trimmedName}`);
+  }
+
+  const items = await checkFeed(trimmedName, trimmedUrl, options);
+
+  const feed = feedRegistry.addFeed({
+    name: trimmedName,
+    url: trimmedUrl,
+    addedBy,
+  });
+
+  return {feed, itemCount: items.length};
+}
+
+// 캐시나 서킷 기록에 영향을 주지 않고 피드를 한 번 파싱 (실패하면 예외)
+function checkFeed(name, url, options = {}) {
+  const activeCount = feedRegistry.getActiveFeeds().length + 1;
+  return parseRSSFeedSafe(
+    {name, url},
+    Math.ceil(TOTAL_TARGET / activeCount),
+    {dryRun: true, correlationId: options.correlationId}
+  );
+}
+
+// OPML 가져오기에서 한 번에 검증할 최대 피드 수 / 동시 검증 수
+const MAX_IMPORT_FEEDS = 50;
+const IMPORT_CONCURRENCY = 5;
+
+// OPML 가져오기 미리보기 - 추가할 피드, 중복으로 건너뛸 피드, 파싱할 수 없는 피드 분류
+// entries: parseOpml 결과 [{name, url, folder}]
+// options.correlationId: 가져오기를 요청한 모달의 ID (검증 수집 로그에 포함)
+// 반환: {toAdd: [{name, url, folder, itemCount}], duplicates: [{name, url, reason}], rejected: [{name, url, reason}]}
+async function previewFeedImport(entries, options = {}) {
+  const preview = {toAdd: [], duplicates: [], rejected: []};
+  const candidates = [];
+  const seenUrls = new Set();
+
+  for (const entry of entries) {
+    const name = (entry.name || "").trim();
+    const url = (entry.url || "").trim();
+
+    if (!url || !feedRegistry.isValidFeedUrl(url)) {
+      preview.rejected.push({name, url, reason: "올바른 xmlUrl이 없습니다."});
+    } else if (feedRegistry.findFeed(url)) {
+      preview.duplicates.push({name, url, reason: "이미 등록된 URL"});
+    } else if (feedRegistry.findFeed(name)) {
+      preview.duplicates.push({name, url, reason: "같은 이름의 피드가 있음"});
+    } else if (seenUrls.has(url.toLowerCase())) {
+      preview.duplicates.push({name, url, reason: "OPML 안에서 중복"});
+    } else if (candidates.length >= MAX_IMPORT_FEEDS) {
+      preview.rejected.push({
+        name,
+        url,
+        reason: `한 번에 최대 ${MAX_IMPORT_FEEDS}개까지 가져올 수 있습니다.`,
+      });
+    } else {
+      seenUrls.add(url.toLowerCase());
+      candidates.push({name: name || url, url, folder: entry.folder || null});
+    }
+  }
+
+  // 새 피드만 실제로 한 번씩 파싱해 검증 (동시 요청 수 제한)
+  for (let i = 0; i < candidates.length; i += IMPORT_CONCURRENCY) {
+    const batch = candidates.slice(i, i + IMPORT_CONCURRENCY);
+    const results = await Promise.allSettled(
+      batch.map((candidate) =>
+        checkFeed(candidate.name, candidate.url, options)
+      )
+    );
+
+    results.forEach((result, index) => {
+      const candidate = batch[index];
+      if (result.status === "fulfilled") {
+        preview.toAdd.push({...candidate, itemCount: result.value.length});
+      } else {
+        preview.rejected.push({
+          name: candidate.name,
+          url: candidate.url,
+          reason: result.reason?.message || "피드를 파싱할 수 없습니다.",
+        });
+      }
+    });
+  }
+
+  logger.info(
+    `📥 [OPML] 미리보기: 추가 ${preview.toAdd.length}개, 중복 ${preview.duplicates.length}개, 거부 ${preview.rejected.length}개`,
+    {correlationId: options.correlationId}
+  );
+
+  return preview;
+}
+
+// 미리보기에서 확인한 피드 등록 (그 사이 다른 경로로 등록된 피드는 건너뜀)
+function applyFeedImport(preview, addedBy = null) {
+  const added = [];
+  const skipped = [];
+
+  for (const entry of preview.toAdd) {
+    try {
+      added.push(
+        feedRegistry.addFeed({
+          name: entry.name,
+          url: entry.url,
+          folder: entry.folder,
+          addedBy,
+        })
+      );
+    } catch (error) {
+      skipped.push({...entry, reason: error.message});
+    }
+  }
+
+  logger.info(`📥 [OPML] 가져오기: ${added.length}개 추가`);
+  return {added, skipped};
+}
+
+// 특정 피드의 캐시 제거 (삭제/비활성화된 피드가 캐시 결과에 남지 않도록)
+function invalidateFeed(feed) {
+  cache.delete(feed.url);
+  cache.deleteFeedStats(feed.name);
+  cache.deleteValidator(feed.url);
+}
+
 module.exports = {
   fetchAllNews: fetchAllNewsCloudRun,
   searchNews,
   getCacheStatus,
   isLoadingNews,
+  registerFeed,
+  previewFeedImport,
+  applyFeedImport,
+  invalidateFeed,
+  onNewsRefreshed,
+  FEED_ERROR_LABELS,
 };
@@ -0,0 +1,137 @@
+// OPML 2.0 피드 목록 읽기/쓰기 (Feedly 등 RSS 리더와 피드 목록 공유)
+
+const {fromCodePointSafe} = require("./entities");
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return fromCodePointSafe(code) ?? match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function encodeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// <outline ...> 태그의 속성 (속성 이름은 소문자로)
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = decodeXml(match[2] ?? match[3]).trim();
+  }
+  return attributes;
+}
+
+// OPML 텍스트에서 피드 목록 추출
+// 반환: [{name, url, folder}] - xmlUrl이 없는 RSS outline은 url이 null
+// 폴더는 피드를 감싼 가장 가까운 outline 이름 (없으면 null)
+function parseOpml(text) {
+  const source = (text || "").replace(/<!--[\s\S]*?-->/g, "");
+  if (!/<opml[\s>]/i.test(source)) {
+    throw new Error("OPML 문서가 아닙니다. (<opml> 요소 없음)");
+  }
+
+  const entries = [];
+  // 열린 outline 스택 (폴더면 이름, 피드면 null)
+  const stack = [];
+  const pattern = /<(\/?)outline\b([^>]*?)(\/?)>/gi;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    const [, closing, attributeSource, selfClosing] = match;
+    if (closing) {
+      stack.pop();
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource);
+    const name = attributes.title || attributes.text || "";
+    const isFeed = Boolean(attributes.xmlurl) || attributes.type === "rss";
+
+    if (isFeed) {
+      const folder = [...stack].reverse().find(Boolean) || null;
+      entries.push({
+        name: name || attributes.xmlurl || "",
+        url: attributes.xmlurl || null,
+        folder,
+      });
+    }
+    if (!selfClosing) {
+      stack.push(isFeed ? null : name || null);
+    }
+  }
+
+  if (entries.length === 0) {
+    throw new Error("OPML에서 피드(xmlUrl이 있는 outline)를 찾을 수 없습니다.");
+  }
+
+  return entries;
+}
+
+// 피드 목록을 OPML 2.0 문서로 변환 (폴더가 있는 피드는 폴더 outline 아래에)
+function buildOpml(feeds, options = {}) {
+  const {title = "Daily Geek News Feeds", now = new Date()} = options;
+  const feedOutline = (feed, indent) =>
+    `${indent}<outline type="rss" text="${encodeXml(
+      feed.name
+    )}" title="${encodeXml(feed.name)}" xmlUrl="${encodeXml(feed.url)}"/>`;
+
+  const folders = new Map();
+  const lines = [];
+  for (const feed of feeds) {
+    if (feed.folder) {
+      if (!folders.has(feed.folder)) folders.set(feed.folder, []);
+      folders.get(feed.folder).push(feed);
+    }
+  }
+
+  for (const [folder, folderFeeds] of folders) {
+    lines.push(
+      `    <outline text="${encodeXml(folder)}" title="${encodeXml(folder)}">`,
+      ...folderFeeds.map((feed) => feedOutline(feed, "      ")),
+      "    </outline>"
+    );
+  }
+  feeds
+    .filter((feed) => !feed.folder)
+    .forEach((feed) => lines.push(feedOutline(feed, "    ")));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    `    <title>${encodeXml(title)}</title>`,
+    `    <dateCreated>${now.toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+    ...lines,
+    "  </body>",
+    "</opml>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  parseOpml,
+  buildOpml,
+};
@@ -0,0 +1,72 @@
+const cron = require("node-cron");
+const {getHolidayName} = require("./holidays");
+const {logger, createCorrelationId} = require("./logger");
+const metrics = require("./metrics");
+
+// 스케줄 기본 시간대
+const DEFAULT_TIMEZONE = process.env.SCHEDULER_TIMEZONE || "Asia/Seoul";
+
+const jobs = new Map();
+
+// cron 표현식으로 작업 등록 (skipHolidays이면 한국 공휴일에는 건너뜀)
+// task는 실행마다 새로 만든 {correlationId}를 인자로 받음
+function scheduleJob(name, expression, task, options = {}) {
+  const {timezone = DEFAULT_TIMEZONE, skipHolidays = false} = options;
+
+  if (!cron.validate(expression)) {
+    throw new Error(`잘못된 cron 표현식입니다 (${name}): ${expression}`);
+  }
+
+  if (jobs.has(name)) {
+    jobs.get(name).stop();
+  }
+
+  const job = cron.schedule(
+    expression,
+    async () => {
+      const correlationId = createCorrelationId();
+      const log = logger.child({correlationId, job: name});
+      const holidayName = skipHolidays
+        ? getHolidayName(new Date(), timezone)
+        : null;
+      if (holidayName) {
+        log.info(`🏖️ [스케줄러] ${name} 건너뜀 - 공휴일 (${holidayName})`);
+        return;
+      }
+
+      const startTime = Date.now();
+      log.info(`⏰ [스케줄러] ${name} 실행 시작`);
+
+      try {
+        await task({correlationId});
+        const durationMs = Date.now() - startTime;
+        log.info(`✅ [스케줄러] ${name} 실행 완료 (${durationMs}ms)`, {
+          durationMs,
+        });
+      } catch (error) {
+        log.error(`❌ [스케줄러] ${name} 실행 실패:`, {error});
+        metrics.recordBackgroundError(name);
+      }
+    },
+    {timezone}
+  );
+
+  jobs.set(name, job);
+  logger.info(`⏰ [스케줄러] ${name} 등록: "${expression}" (${timezone})`);
+
+  return job;
+}
+
+// 등록된 작업 모두 중지
+function stopAllJobs() {
+  for (const job of jobs.values()) {
+    job.stop();
+  }
+  jobs.clear();
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  scheduleJob,
+  stopAllJobs,
+};
@@ -0,0 +1,267 @@
+const {logger} = require("./logger");
+
+// 한국어 조사/어미 (긴 것부터 비교해 토큰 끝에서 제거)
+const KOREAN_PARTICLES = [
+  "에서는",
+  "으로는",
+  "에게서",
+  "이라는",
+  "까지",
+  "부터",
+  "에서",
+  "에게",
+  "한테",
+  "으로",
+  "처럼",
+  "보다",
+  "라는",
+  "이나",
+  "이다",
+  "와",
+  "과",
+  "을",
+  "를",
+  "이",
+  "가",
+  "은",
+  "는",
+  "의",
+  "에",
+  "로",
+  "도",
+  "만",
+];
+
+// 필드별 가중치 (제목 > 소스 > 요약)
+const FIELD_WEIGHTS = {title: 3, source: 2, contentSnippet: 1};
+
+// BM25 파라미터
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 최신 글 가산점 (최대 50%, 7일마다 절반으로 감소)
+const RECENCY_WEIGHT = 0.5;
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+// 한국어 토큰 끝의 조사 제거 (남는 부분이 2글자 이상일 때만)
+function stripKoreanParticle(token) {
+  for (const particle of KOREAN_PARTICLES) {
+    if (token.endsWith(particle) && token.length - particle.length >= 2) {
+      return token.slice(0, -particle.length);
+    }
+  }
+  return token;
+}
+
+// 텍스트를 검색 토큰으로 분리
+// - 영문/숫자: 단어 단위 (부분 일치 없음, "ai"는 "email"과 일치하지 않음)
+//   언어 이름처럼 끝에 붙는 기호는 단어에 포함 ("C#" → "c#", "C++" → "c++")
+// - 한글: 조사를 제거한 어절 단위 ("쿠버네티스를" → "쿠버네티스")
+// - 한 글자 영문은 기본적으로 버리고, options.keepShort이면 유지 (검색 색인용 "C", "R")
+function tokenize(text, options = {}) {
+  const {keepShort = false} = options;
+  const tokens = [];
+  const matches = (text || "")
+    .toLowerCase()
+    .match(/[a-z0-9]+(?:\+\+|#)?|[가-힣]+/g);
+
+  for (const raw of matches || []) {
+    if (/^[가-힣]+$/.test(raw)) {
+      // 한 글자 조사는 토큰으로 쓰지 않음 ("AI를" → "ai")
+      if (raw.length === 1 && KOREAN_PARTICLES.includes(raw)) continue;
+      tokens.push(stripKoreanParticle(raw));
+    } else if (keepShort || raw.length > 1 || /\d/.test(raw)) {
+      tokens.push(raw);
+    }
+  }
+
+  return tokens;
+}
+
+// 검색 색인과 검색어에 같이 쓰는 토큰 분리 (한 글자 영문 포함)
+function tokenizeForSearch(text) {
+  return tokenize(text, {keepShort: true});
+}
+
+function intersect(a, b) {
+  return new Set([...a].filter((value) => b.has(value)));
+}
+
+// 뉴스 목록 역색인 (BM25 + 최신 글 가산점으로 순위 계산)
+class SearchIndex {
+  constructor() {
+    this.docs = [];
+    this.postings = new Map(); // term -> Map(docId -> 가중 빈도)
+    this.docLengths = [];
+    this.avgDocLength = 0;
+    this.signature = null;
+  }
+
+  // 목록이 바뀌었는지 빠르게 비교하기 위한 값
+  static getSignature(items) {
+    if (items.length === 0) return "empty";
+    return `${items.length}:${items[0].link}:${items[items.length - 1].link}`;
+  }
+
+  build(items) {
+    this.docs = items;
+    this.postings = new Map();
+    this.docLengths = [];
+
+    items.forEach((item, docId) => {
+      let length = 0;
+
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const tokens = tokenizeForSearch(item[field]);
+        length += tokens.length * weight;
+
+        for (const token of tokens) {
+          let posting = this.postings.get(token);
+          if (!posting) {
+            posting = new Map();
+            this.postings.set(token, posting);
+          }
+          posting.set(docId, (posting.get(docId) || 0) + weight);
+        }
+      }
+
+      this.docLengths.push(length);
+    });
+
+    const totalLength = this.docLengths.reduce((sum, len) => sum + len, 0);
+    this.avgDocLength = items.length > 0 ? totalLength / items.length : 0;
+    this.signature = SearchIndex.getSignature(items);
+
+    logger.info(
+      `🗂️ 검색 색인 갱신: ${items.length}개 문서, ${this.postings.size}개 단어`
+    );
+  }
+
+  // 목록이 바뀐 경우에만 다시 색인
+  ensure(items) {
+    if (this.signature !== SearchIndex.getSignature(items)) {
+      this.build(items);
+    }
+  }
+
+  // 단어가 포함된 문서 ID 집합
+  getDocIds(term) {
+    const posting = this.postings.get(term);
+    return new Set(posting ? posting.keys() : []);
+  }
+
+  // 문서의 BM25 점수 (여러 단어 합산)
+  scoreDoc(docId, terms) {
+    const totalDocs = this.docs.length;
+    let score = 0;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      const frequency = posting?.get(docId);
+      if (!frequency) continue;
+
+      const idf = Math.log(
+        1 + (totalDocs - posting.size + 0.5) / (posting.size + 0.5)
+      );
+      const lengthNorm =
+        1 - BM25_B + BM25_B * (this.docLengths[docId] / this.avgDocLength);
+
+      const saturation =
+        (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      score += idf * saturation;
+    }
+
+    return score * this.getRecencyBoost(this.docs[docId]);
+  }
+
+  getRecencyBoost(item) {
+    const date = new Date(item.isoDate || item.pubDate);
+    if (isNaN(date)) return 1;
+
+    const ageDays = Math.max(0, (Date.now() - date) / (24 * 60 * 60 * 1000));
+    return 1 + RECENCY_WEIGHT * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  }
+
+  // 문서 ID 목록을 점수순 뉴스 아이템으로 변환
+  rank(docIds, terms) {
+    return Array.from(docIds)
+      .map((docId) => ({docId, score: this.scoreDoc(docId, terms)}))
+      .sort((a, b) => b.score - a.score)
+      .map(({docId}) => this.docs[docId]);
+  }
+
+  // 구문 검색용 문서 원문 (소문자, 공백 정리)
+  getDocText(docId) {
+    const item = this.docs[docId];
+    return Object.keys(FIELD_WEIGHTS)
+      .map((field) => item[field] || "")
+      .join(" ")
+      .toLowerCase()
+      .replace(/\s+/g, " ");
+  }
+
+  // 절(단어 또는 따옴표 구문)에 일치하는 문서 ID 집합
+  // 단어는 모든 토큰을 포함해야 하고, 구문은 원문에 그대로 있어야 함
+  matchClause(clause) {
+    let docIds = null;
+    for (const token of clause.tokens) {
+      const tokenDocIds = this.getDocIds(token);
+      docIds = docIds ? intersect(docIds, tokenDocIds) : tokenDocIds;
+    }
+
+    if (clause.type !== "phrase") return docIds;
+
+    const phrase = clause.value.toLowerCase().replace(/\s+/g, " ").trim();
+    return new Set(
+      [...docIds].filter((docId) => this.getDocText(docId).includes(phrase))
+    );
+  }
+
+  // 검색 조건(searchQuery.parseSearchQuery 결과)에 맞는 문서를 관련도순으로 반환
+  search(query) {
+    let docIds = new Set(this.docs.keys());
+
+    for (const group of query.groups) {
+      const groupDocIds = new Set();
+      for (const clause of group) {
+        this.matchClause(clause).forEach((docId) => groupDocIds.add(docId));
+      }
+      docIds = intersect(docIds, groupDocIds);
+    }
+
+    for (const clause of query.excludes) {
+      this.matchClause(clause).forEach((docId) => docIds.delete(docId));
+    }
+
+    const sources = query.sources.map((s) => s.toLowerCase());
+    const excludeSources = query.excludeSources.map((s) => s.toLowerCase());
+    docIds = new Set(
+      [...docIds].filter((docId) => {
+        const item = this.docs[docId];
+        const source = (item.source || "").toLowerCase();
+        if (sources.length > 0 && !sources.some((s) => source.includes(s))) {
+          return false;
+        }
+        if (excludeSources.some((s) => source.includes(s))) {
+          return false;
+        }
+        if (query.since) {
+          const date = new Date(item.isoDate || item.pubDate);
+          if (isNaN(date) || date < query.since.date) return false;
+        }
+        return true;
+      })
+    );
+
+    const terms = [
+      ...new Set(query.groups.flat().flatMap((clause) => clause.tokens)),
+    ];
+    return this.rank(docIds, terms);
+  }
+}
+
+module.exports = {
+  tokenize,
+  tokenizeForSearch,
+  SearchIndex,
+};
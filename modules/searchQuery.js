@@ -0,0 +1,238 @@
+const {tokenizeForSearch} = require("./searchIndex");
+
+// 지원하는 연산자
+const OPERATORS = ["source", "since", "after"];
+
+// since: 상대 기간 단위
+const DURATION_UNITS = {
+  h: {ms: 60 * 60 * 1000, label: "시간"},
+  d: {ms: 24 * 60 * 60 * 1000, label: "일"},
+  w: {ms: 7 * 24 * 60 * 60 * 1000, label: "주"},
+};
+
+// 검색어 문자열을 조각으로 분리 (따옴표 구문, -제외, 연산자:값, OR)
+function splitQuery(text) {
+  const parts = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = text.indexOf('"', i + 1);
+    if (end === -1) {
+      throw new Error("닫히지 않은 따옴표가 있습니다.");
+    }
+    const value = text.slice(i + 1, end);
+    i = end + 1;
+    return value;
+  };
+
+  const readWord = () => {
+    const start = i;
+    while (i < text.length && !/\s/.test(text[i])) i++;
+    return text.slice(start, i);
+  };
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const negated =
+      text[i] === "-" && i + 1 < text.length && !/\s/.test(text[i + 1]);
+    if (negated) i++;
+
+    if (text[i] === '"') {
+      parts.push({type: "phrase", negated, value: readQuoted()});
+      continue;
+    }
+
+    const operatorMatch = text.slice(i).match(/^([a-z]+):/i);
+    if (operatorMatch && OPERATORS.includes(operatorMatch[1].toLowerCase())) {
+      i += operatorMatch[0].length;
+      const value = text[i] === '"' ? readQuoted() : readWord();
+      parts.push({
+        type: "operator",
+        negated,
+        operator: operatorMatch[1].toLowerCase(),
+        value: value.trim(),
+      });
+      continue;
+    }
+
+    const word = readWord();
+    if (!negated && (word === "OR" || word === "|")) {
+      parts.push({type: "or"});
+    } else {
+      parts.push({type: "term", negated, value: word});
+    }
+  }
+
+  return parts;
+}
+
+// 없는 날짜(2026-02-30 등)는 Date가 다음 달로 넘기므로 한국 시간 날짜로 되돌려 비교
+function isSameKstDate(date, value) {
+  const kst = new Date(date.getTime() + 9 * 60 * 60 * 1000);
+  return kst.toISOString().slice(0, 10) === value;
+}
+
+// since:7d / since:2026-10-01 / after:2026-10-01 값을 시작 시각으로 변환
+function parseSince(operator, value) {
+  const durationMatch = value.match(/^(\d+)([hdw])$/i);
+  if (operator === "since" && durationMatch) {
+    const amount = parseInt(durationMatch[1], 10);
+    const unit = DURATION_UNITS[durationMatch[2].toLowerCase()];
+    return {
+      date: new Date(Date.now() - amount * unit.ms),
+      label: `최근 ${amount}${unit.label}`,
+    };
+  }
+
+  // 날짜는 한국 시간 자정 기준
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00+09:00`)
+    : null;
+  if (date && !isNaN(date) && !isSameKstDate(date, value)) {
+    throw new Error(`${operator}: 존재하지 않는 날짜입니다. (${value})`);
+  }
+  if (!date || isNaN(date)) {
+    throw new Error(
+      operator === "since"
+        ? `since: 값은 \`7d\`, \`24h\`, \`2w\` 또는 \`YYYY-MM-DD\` 형식이어야 합니다. (${value})`
+        : `after: 값은 \`YYYY-MM-DD\` 형식이어야 합니다. (${value})`
+    );
+  }
+  return {date, label: `${value} 이후`};
+}
+
+// 검색 조건 파싱 (문법 오류는 사용자에게 보여줄 메시지와 함께 Error로 던짐)
+// 반환: {text, groups, excludes, sources, excludeSources, since}
+// - groups: 모두 만족해야 하는 조건 묶음 (묶음 안의 절은 OR)
+// - 절: {type: "term"|"phrase", value, tokens}
+function parseSearchQuery(text) {
+  const query = {
+    text: (text || "").trim(),
+    groups: [],
+    excludes: [],
+    sources: [],
+    excludeSources: [],
+    since: null,
+  };
+
+  let pendingOr = false;
+  let lastWasClause = false;
+
+  for (const part of splitQuery(query.text)) {
+    if (part.type === "or") {
+      if (!lastWasClause || pendingOr) {
+        throw new Error("OR 앞뒤에는 검색어가 있어야 합니다.");
+      }
+      pendingOr = true;
+      continue;
+    }
+
+    if (part.type === "operator") {
+      if (pendingOr) {
+        throw new Error("OR 앞뒤에는 검색어가 있어야 합니다.");
+      }
+      if (!part.value) {
+        throw new Error(`${part.operator}: 뒤에 값을 입력해주세요.`);
+      }
+
+      if (part.operator === "source") {
+        (part.negated ? query.excludeSources : query.sources).push(part.value);
+      } else if (part.negated) {
+        throw new Error(`${part.operator}: 조건은 제외(-)할 수 없습니다.`);
+      } else {
+        const since = parseSince(part.operator, part.value);
+        if (!query.since || since.date > query.since.date) {
+          query.since = since;
+        }
+      }
+      lastWasClause = false;
+      continue;
+    }
+
+    const clause = {
+      type: part.type,
+      value: part.value,
+      tokens: tokenizeForSearch(part.value),
+    };
+
+    // 색인할 단어가 없는 검색어 (기호만 있거나 한 글자 조사인 경우)
+    if (clause.tokens.length === 0) {
+      throw new Error(
+        `검색할 단어가 없습니다: ${part.value} (기호나 조사만으로는 검색할 수 없습니다)`
+      );
+    }
+
+    if (part.negated) {
+      if (pendingOr) {
+        throw new Error("OR 뒤에는 제외(-) 조건을 쓸 수 없습니다.");
+      }
+      query.excludes.push(clause);
+      lastWasClause = false;
+      continue;
+    }
+
+    if (pendingOr) {
+      query.groups[query.groups.length - 1].push(clause);
+    } else {
+      query.groups.push([clause]);
+    }
+    pendingOr = false;
+    lastWasClause = true;
+  }
+
+  if (pendingOr) {
+    throw new Error("OR 앞뒤에는 검색어가 있어야 합니다.");
+  }
+  if (query.groups.length === 0 && query.sources.length === 0 && !query.since) {
+    throw new Error(
+      "검색어를 입력해주세요. 제외(-) 조건만으로는 검색할 수 없습니다."
+    );
+  }
+
+  return query;
+}
+
+// 헤더에 표시할 적용 조건 목록 (단순 검색어는 제외)
+function describeSearchQuery(query) {
+  const formatClause = (clause) =>
+    clause.type === "phrase" ? `"${clause.value}"` : clause.value;
+  const filters = [];
+
+  if (query.sources.length > 0) {
+    filters.push(`소스: ${query.sources.join(" OR ")}`);
+  }
+  if (query.since) {
+    filters.push(`기간: ${query.since.label}`);
+  }
+  query.groups
+    .filter((group) => group.length > 1)
+    .forEach((group) => {
+      filters.push(`하나 이상 포함: ${group.map(formatClause).join(" OR ")}`);
+    });
+
+  const phrases = query.groups
+    .filter((group) => group.length === 1 && group[0].type === "phrase")
+    .map((group) => formatClause(group[0]));
+  if (phrases.length > 0) {
+    filters.push(`정확히 일치: ${phrases.join(", ")}`);
+  }
+
+  const excludes = [
+    ...query.excludes.map(formatClause),
+    ...query.excludeSources.map((source) => `source:${source}`),
+  ];
+  if (excludes.length > 0) {
+    filters.push(`제외: ${excludes.join(", ")}`);
+  }
+
+  return filters;
+}
+
+module.exports = {
+  parseSearchQuery,
+  describeSearchQuery,
+};
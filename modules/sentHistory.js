@@ -0,0 +1,85 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {getUrlKey, normalizeTitle} = require("./dedup");
+const {logger} = require("./logger");
+
+const HISTORY_FILE = process.env.SENT_HISTORY_FILE || "sent-history.json";
+// 전송 기록 보관 기간
+const RETENTION_MS =
+  (parseInt(process.env.SENT_HISTORY_RETENTION_DAYS, 10) || 30) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// 채널별 전송 기록: {channelId: {key: {title, link, sentAt}}}
+let historyByChannel = null;
+
+function loadHistory() {
+  if (!historyByChannel) {
+    historyByChannel = readJson(HISTORY_FILE, {});
+  }
+  return historyByChannel;
+}
+
+function saveHistory() {
+  try {
+    writeJson(HISTORY_FILE, historyByChannel);
+  } catch (error) {
+    logger.error(`❌ [전송 기록] 저장 실패: ${error.message}`);
+  }
+}
+
+// 같은 글이 다른 소스 링크로 다시 수집되어도 알아볼 수 있도록 링크와 제목 키를 함께 사용
+function getItemKeys(item) {
+  const keys = [`url:${getUrlKey(item.link)}`];
+  const title = normalizeTitle(item.title);
+  if (title) {
+    keys.push(`title:${title}`);
+  }
+  return keys;
+}
+
+// 보관 기간이 지난 기록 정리
+function pruneChannel(channelHistory) {
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(channelHistory)) {
+    if (now - new Date(entry.sentAt).getTime() > RETENTION_MS) {
+      delete channelHistory[key];
+    }
+  }
+}
+
+// 채널에 이미 전송한 글인지 확인
+function hasBeenSent(channel, item) {
+  const channelHistory = loadHistory()[channel];
+  if (!channelHistory) return false;
+
+  return getItemKeys(item).some((key) => channelHistory[key]);
+}
+
+// 채널에 아직 전송하지 않은 글만 반환 (입력 순서 유지)
+function filterUnsent(channel, items) {
+  return items.filter((item) => !hasBeenSent(channel, item));
+}
+
+// 채널에 전송한 글 기록
+function markSent(channel, items) {
+  const history = loadHistory();
+  const channelHistory = history[channel] || (history[channel] = {});
+  const sentAt = new Date().toISOString();
+
+  for (const item of items) {
+    for (const key of getItemKeys(item)) {
+      channelHistory[key] = {title: item.title, link: item.link, sentAt};
+    }
+  }
+
+  pruneChannel(channelHistory);
+  saveHistory();
+}
+
+module.exports = {
+  hasBeenSent,
+  filterUnsent,
+  markSent,
+};
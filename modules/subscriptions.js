@@ -0,0 +1,155 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {getUrlKey} = require("./dedup");
+const {createKeywordMatcher} = require("./keywordMatcher");
+const {getFirstSeenAt} = require("./articleHistory");
+const {logger} = require("./logger");
+
+const SUBSCRIPTIONS_FILE =
+  process.env.SUBSCRIPTIONS_FILE || "subscriptions.json";
+// 사용자당 최대 구독 키워드 수
+const MAX_KEYWORDS = 20;
+// 알림 기록 보관 기간 (이 기간 안에서는 같은 글을 다시 보내지 않음)
+const NOTIFIED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 사용자별 구독 정보: {userId: {keywords: [{keyword, createdAt}], notified: {urlKey: sentAt}}}
+let subscriptionsByUser = null;
+
+function loadSubscriptions() {
+  if (!subscriptionsByUser) {
+    subscriptionsByUser = readJson(SUBSCRIPTIONS_FILE, {});
+  }
+  return subscriptionsByUser;
+}
+
+function saveSubscriptions() {
+  try {
+    writeJson(SUBSCRIPTIONS_FILE, subscriptionsByUser);
+  } catch (error) {
+    logger.error(`❌ [구독] 저장 실패: ${error.message}`);
+  }
+}
+
+function getUserRecord(userId) {
+  const subscriptions = loadSubscriptions();
+  if (!subscriptions[userId]) {
+    subscriptions[userId] = {keywords: [], notified: {}};
+  }
+  return subscriptions[userId];
+}
+
+// 키워드 구독 (이미 구독 중이면 false)
+function subscribe(userId, keyword) {
+  const trimmed = (keyword || "").trim();
+  if (!trimmed) {
+    throw new Error("키워드가 비어 있습니다.");
+  }
+  if (trimmed.length > 50) {
+    throw new Error("키워드는 50자 이하로 입력해주세요.");
+  }
+
+  const record = getUserRecord(userId);
+  const exists = record.keywords.some(
+    (k) => k.keyword.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (exists) return false;
+
+  if (record.keywords.length >= MAX_KEYWORDS) {
+    throw new Error(`키워드는 최대 ${MAX_KEYWORDS}개까지 구독할 수 있습니다.`);
+  }
+
+  record.keywords.push({keyword: trimmed, createdAt: new Date().toISOString()});
+  saveSubscriptions();
+
+  return true;
+}
+
+// 키워드 구독 해제 (구독 중이 아니면 false)
+function unsubscribe(userId, keyword) {
+  const record = loadSubscriptions()[userId];
+  if (!record) return false;
+
+  const target = (keyword || "").trim().toLowerCase();
+  const before = record.keywords.length;
+  record.keywords = record.keywords.filter(
+    (k) => k.keyword.toLowerCase() !== target
+  );
+
+  if (record.keywords.length === before) return false;
+
+  saveSubscriptions();
+  return true;
+}
+
+// 사용자의 구독 키워드 목록
+function getKeywords(userId) {
+  const record = loadSubscriptions()[userId];
+  return record ? record.keywords.map((k) => k.keyword) : [];
+}
+
+// 새로 수집된 뉴스 중 사용자별로 아직 알리지 않은 일치 항목 찾기
+// 반환: [{userId, matches: [{item, keywords}]}]
+function findNewMatches(items) {
+  const results = [];
+
+  for (const [userId, record] of Object.entries(loadSubscriptions())) {
+    if (record.keywords.length === 0) continue;
+
+    const matchers = record.keywords.map((k) => ({
+      keyword: k.keyword,
+      since: new Date(k.createdAt).getTime(),
+      test: createKeywordMatcher(k.keyword),
+    }));
+    const matches = [];
+
+    for (const item of items) {
+      if (record.notified[getUrlKey(item.link)]) continue;
+
+      // 구독 이후에 처음 수집된 글만 알림
+      // (발행 시각은 없거나 늦게 수집될 수 있어 사용하지 않음, 기록이 없으면 오래된 글)
+      const firstSeenAt = getFirstSeenAt(item.link);
+      if (!firstSeenAt) continue;
+
+      const text = `${item.title} ${item.contentSnippet || ""}`.toLowerCase();
+      const keywords = matchers
+        .filter((m) => firstSeenAt.getTime() >= m.since && m.test(text))
+        .map((m) => m.keyword);
+
+      if (keywords.length > 0) {
+        matches.push({item, keywords});
+      }
+    }
+
+    if (matches.length > 0) {
+      results.push({userId, matches});
+    }
+  }
+
+  return results;
+}
+
+// 알림을 보낸 글 기록
+function markNotified(userId, items) {
+  const record = getUserRecord(userId);
+  const now = Date.now();
+
+  for (const item of items) {
+    record.notified[getUrlKey(item.link)] = new Date(now).toISOString();
+  }
+
+  for (const [key, sentAt] of Object.entries(record.notified)) {
+    if (now - new Date(sentAt).getTime() > NOTIFIED_RETENTION_MS) {
+      delete record.notified[key];
+    }
+  }
+
+  saveSubscriptions();
+}
+
+module.exports = {
+  MAX_KEYWORDS,
+  subscribe,
+  unsubscribe,
+  getKeywords,
+  findNewMatches,
+  markNotified,
+};
@@ -0,0 +1,158 @@
+const {tokenize} = require("./searchIndex");
+const {fromCodePointSafe} = require("./entities");
+
+// 본문 보관 최대 길이 (캐시 크기 제한)
+const MAX_CONTENT_LENGTH = 5000;
+
+// 요약 길이 (짧은 요약은 2~3문장, 펼친 요약은 최대 6문장)
+const SHORT_SUMMARY = {sentences: 3, maxLength: 400};
+const LONG_SUMMARY = {sentences: 6, maxLength: 1200};
+
+// 요약 대상 문장 길이
+const MIN_SENTENCE_LENGTH = 15;
+const MAX_SENTENCE_LENGTH = 400;
+
+// 문장 점수 계산에서 제외할 영문 불용어
+const STOPWORDS = new Set(
+  `the and for are but not you all any can was were has have had this that
+  with from they will would there their what when which who how its our your
+  into about more also than then them these those been being some such only
+  other just over very here out`.split(/\s+/)
+);
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  mdash: "—",
+  ndash: "–",
+  ldquo: '"',
+  rdquo: '"',
+  lsquo: "'",
+  rsquo: "'",
+  hellip: "...",
+};
+
+// HTML 본문을 일반 텍스트로 변환 (블록 요소 경계는 줄바꿈으로 유지)
+function htmlToText(html) {
+  if (!html || typeof html !== "string") return "";
+
+  return html
+    .replace(/<(script|style|pre|figure)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/blockquote|\/tr)[^>]*>/gi, "\n")
+    .replace(/<[^>]*>/g, " ")
+    .replace(
+      /&#(\d+);/g,
+      (match, code) => fromCodePointSafe(parseInt(code, 10)) ?? match
+    )
+    .replace(
+      /&#x([0-9a-f]+);/gi,
+      (match, code) => fromCodePointSafe(parseInt(code, 16)) ?? match
+    )
+    .replace(/&([a-z]+);/gi, (match, name) =>
+      HTML_ENTITIES[name.toLowerCase()] !== undefined
+        ? HTML_ENTITIES[name.toLowerCase()]
+        : match
+    )
+    .replace(/[ \t\r\f\v]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+// 문장 분리 (영문 . ! ? 와 한국어 "~다." 등 문장 부호 기준, 줄바꿈도 경계로 처리)
+function splitSentences(text) {
+  return text
+    .split("\n")
+    .flatMap((paragraph) => paragraph.split(/(?<=[.!?。！？])\s+/))
+    .map((sentence) => sentence.trim())
+    .filter(
+      (sentence) =>
+        sentence.length >= MIN_SENTENCE_LENGTH &&
+        sentence.length <= MAX_SENTENCE_LENGTH
+    );
+}
+
+// 문장별 점수 (본문에 자주 나오는 단어와 제목 단어를 많이 포함할수록 높음)
+function scoreSentences(sentences, title) {
+  const sentenceTokens = sentences.map((sentence) =>
+    tokenize(sentence).filter((token) => !STOPWORDS.has(token))
+  );
+
+  const frequencies = new Map();
+  sentenceTokens.flat().forEach((token) => {
+    frequencies.set(token, (frequencies.get(token) || 0) + 1);
+  });
+  const maxFrequency = Math.max(1, ...frequencies.values());
+  const titleTokens = new Set(tokenize(title));
+
+  return sentenceTokens.map((tokens, index) => {
+    if (tokens.length === 0) return 0;
+
+    const unique = [...new Set(tokens)];
+    const weight = unique.reduce(
+      (sum, token) =>
+        sum +
+        frequencies.get(token) / maxFrequency +
+        (titleTokens.has(token) ? 1 : 0),
+      0
+    );
+    // 긴 문장이 유리하지 않도록 길이로 나누고, 앞쪽 문장에 가산점
+    const positionBoost = index === 0 ? 1.5 : index < 3 ? 1.2 : 1;
+    return (weight / Math.sqrt(tokens.length)) * positionBoost;
+  });
+}
+
+// 점수가 높은 문장을 골라 원래 순서대로 연결
+function pickSentences(sentences, scores, {sentences: count, maxLength}) {
+  const ranked = sentences
+    .map((sentence, index) => ({sentence, index, score: scores[index]}))
+    .sort((a, b) => b.score - a.score);
+
+  const picked = [];
+  let length = 0;
+  for (const candidate of ranked) {
+    if (picked.length >= count) break;
+    if (picked.length >= 2 && length + candidate.sentence.length > maxLength) {
+      continue;
+    }
+    picked.push(candidate);
+    length += candidate.sentence.length;
+  }
+
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map(({sentence}) => sentence)
+    .join(" ");
+}
+
+// 본문 HTML로 요약 생성 (외부 API 없이 문장 추출 방식)
+// 반환: {content, summary, summaryLong} - 본문이 짧으면 summaryLong은 null
+function summarizeArticle(html, title = "") {
+  const text = htmlToText(html);
+  const content = text.slice(0, MAX_CONTENT_LENGTH);
+  const sentences = splitSentences(text);
+
+  if (sentences.length === 0) {
+    return {content, summary: null, summaryLong: null};
+  }
+
+  const scores = scoreSentences(sentences, title);
+  const summary = pickSentences(sentences, scores, SHORT_SUMMARY);
+  const summaryLong = pickSentences(sentences, scores, LONG_SUMMARY);
+
+  return {
+    content,
+    summary,
+    summaryLong: summaryLong.length > summary.length ? summaryLong : null,
+  };
+}
+
+module.exports = {
+  htmlToText,
+  splitSentences,
+  summarizeArticle,
+};
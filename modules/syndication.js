@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const feedRegistry = require("./feedRegistry");
+
+// 피드 하나에 담을 최대 뉴스 수
+const FEED_ITEM_LIMIT = 50;
+
+const FEED_TITLE = "Daily Geek News";
+const FEED_DESCRIPTION = "IT 기술 블로그 최신 글 모음 (Daily Geek News Bot)";
+
+// XML에 넣을 수 없는 제어 문자 제거 후 이스케이프
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function getItemDate(item) {
+  const date = new Date(item.isoDate || item.pubDate);
+  return isNaN(date) ? null : date;
+}
+
+// 가장 최근 글의 시각 (피드 문서의 갱신 시각으로 사용)
+function getLatestDate(items) {
+  const times = items
+    .map(getItemDate)
+    .filter(Boolean)
+    .map((date) => date.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : new Date(0);
+}
+
+// ?source= 필터 (소스 이름 부분 일치, 대소문자 무시)
+function filterBySource(items, source) {
+  const target = (source || "").trim().toLowerCase();
+  if (!target) return items;
+  return items.filter((item) =>
+    (item.source || "").toLowerCase().includes(target)
+  );
+}
+
+// 최신순 정렬 후 개수 제한
+function sortForFeed(items) {
+  return items
+    .slice()
+    .sort((a, b) => (getItemDate(b) || 0) - (getItemDate(a) || 0))
+    .slice(0, FEED_ITEM_LIMIT);
+}
+
+function buildRss(items, meta) {
+  const entries = items.map((item) => {
+    const date = getItemDate(item);
+    // <source>는 원본 피드 URL이 필수라 레지스트리에 있는 소스만 표시
+    const sourceFeed = feedRegistry.findFeed(item.source);
+    return [
+      "    <item>",
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.link)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+      date ? `      <pubDate>${date.toUTCString()}</pubDate>` : null,
+      sourceFeed
+        ? `      <source url="${escapeXml(sourceFeed.url)}">${escapeXml(
+            item.source
+          )}</source>`
+        : null,
+      ...(item.categories || []).map(
+        (category) => `      <category>${escapeXml(category)}</category>`
+      ),
+      item.summary
+        ? `      <description>${escapeXml(item.summary)}</description>`
+        : null,
+      "    </item>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.homePageUrl)}</link>`,
+    `    <description>${escapeXml(FEED_DESCRIPTION)}</description>`,
+    `    <atom:link href="${escapeXml(
+      meta.feedUrl
+    )}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${meta.updated.toUTCString()}</lastBuildDate>`,
+    ...entries,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+function buildAtom(items, meta) {
+  const entries = items.map((item) => {
+    const date = getItemDate(item) || meta.updated;
+    return [
+      "  <entry>",
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link href="${escapeXml(item.link)}"/>`,
+      `    <id>${escapeXml(item.link)}</id>`,
+      `    <updated>${date.toISOString()}</updated>`,
+      `    <author><name>${escapeXml(item.source)}</name></author>`,
+      ...(item.categories || []).map(
+        (category) => `    <category term="${escapeXml(category)}"/>`
+      ),
+      item.summary
+        ? `    <summary>${escapeXml(item.summary)}</summary>`
+        : null,
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(meta.title)}</title>`,
+    `  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>`,
+    `  <link href="${escapeXml(meta.feedUrl)}" rel="self"/>`,
+    `  <link href="${escapeXml(meta.homePageUrl)}"/>`,
+    `  <id>${escapeXml(meta.feedUrl)}</id>`,
+    `  <updated>${meta.updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+function buildJsonFeed(items, meta) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    description: FEED_DESCRIPTION,
+    home_page_url: meta.homePageUrl,
+    feed_url: meta.feedUrl,
+    language: "ko",
+    items: items.map((item) => {
+      const date = getItemDate(item);
+      const entry = {
+        id: item.link,
+        url: item.link,
+        title: item.title,
+        authors: [{name: item.source}],
+        tags: item.categories || [],
+      };
+      if (item.summary) {
+        entry.summary = item.summary;
+        entry.content_text = item.summaryLong || item.summary;
+      } else {
+        entry.content_text = item.title;
+      }
+      if (date) entry.date_published = date.toISOString();
+      return entry;
+    }),
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+// 경로별 피드 형식
+const FEED_FORMATS = {
+  "/feed.xml": {
+    contentType: "application/rss+xml; charset=utf-8",
+    build: buildRss,
+  },
+  "/atom.xml": {
+    contentType: "application/atom+xml; charset=utf-8",
+    build: buildAtom,
+  },
+  "/feed.json": {
+    contentType: "application/feed+json; charset=utf-8",
+    build: buildJsonFeed,
+  },
+};
+
+// 피드 문서 생성 (본문 해시를 ETag로, 캐시를 마지막으로 갱신한 시각을 Last-Modified로 사용)
+// 글 시각은 늦게 수집된 옛 글이 추가돼도 바뀌지 않아 If-Modified-Since에 쓸 수 없음
+// 반환: {body, contentType, etag, lastModified}
+function renderFeed(pathname, items, options = {}) {
+  const format = FEED_FORMATS[pathname];
+  if (!format) return null;
+
+  // baseUrl: 공개 주소, search: 요청의 쿼리 문자열("?source=..."), label: 제목에 붙일 필터 설명
+  // refreshedAt: 캐시 갱신 시각 (getCacheStatus().lastRefreshedAt)
+  const {baseUrl = "", search = "", label = "", refreshedAt = null} = options;
+  const feedItems = sortForFeed(items);
+  const updated = getLatestDate(feedItems);
+
+  const body = format.build(feedItems, {
+    title: label ? `${FEED_TITLE} - ${label}` : FEED_TITLE,
+    homePageUrl: `${baseUrl}/`,
+    feedUrl: `${baseUrl}${pathname}${search}`,
+    updated,
+  });
+
+  const hash = crypto.createHash("sha1").update(body).digest("hex");
+  const modified = refreshedAt ? new Date(refreshedAt) : new Date();
+  return {
+    body,
+    contentType: format.contentType,
+    etag: `"${hash}"`,
+    lastModified: modified.toUTCString(),
+  };
+}
+
+// 조건부 요청 확인 (If-None-Match 우선, 없으면 If-Modified-Since)
+function isNotModified(headers, feed) {
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""))
+      .some((tag) => tag === feed.etag || tag === "*");
+  }
+
+  const ifModifiedSince = new Date(headers["if-modified-since"]);
+  return (
+    !isNaN(ifModifiedSince) &&
+    new Date(feed.lastModified).getTime() <= ifModifiedSince.getTime()
+  );
+}
+
+module.exports = {
+  FEED_FORMATS,
+  filterBySource,
+  renderFeed,
+  isNotModified,
+};
@@ -0,0 +1,145 @@
+const {tokenize} = require("./searchIndex");
+const {getArticlesBetween} = require("./articleHistory");
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 이번 주 최소 등장 글 수 (이보다 적으면 트렌드로 보지 않음)
+const MIN_COUNT = parseInt(process.env.TREND_MIN_COUNT, 10) || 3;
+
+// 용어별 예시 글 수
+const EXAMPLES_PER_TERM = 2;
+
+// 빈도 계산에서 제외할 불용어 (영어)
+const ENGLISH_STOPWORDS = new Set(
+  `a an the and or but if then else for of to in on at by with from into onto
+  about over under after before between through during without within is are
+  was were be been being am do does did doing have has had having it its this
+  that these those there here what which who whom whose when where why how all
+  any both each few more most other some such no nor not only own same so than
+  too very can will just should would could may might must shall you your we
+  our they their them he she his her i me my mine us new now get got make made
+  use using used one two via vs also like way ways part first last next year
+  years day days week time guide introduction intro update updates announcing
+  released release`.split(/\s+/)
+);
+
+// 빈도 계산에서 제외할 불용어 (한국어, 조사 제거 후 기준)
+const KOREAN_STOPWORDS = new Set(
+  `그리고 그러나 하지만 그래서 또한 또는 및 등 것 수 때 중 더 또 좀 잘 왜 어떻게
+  무엇 우리 저희 여러분 이번 지금 오늘 이제 정말 모든 같은 대한 위한 통해 관한
+  있는 있다 없는 없다 하는 하다 한다 했다 되는 된다 됐다 있습니다 합니다 됩니다
+  했습니다 소개 소개합니다 이야기 방법 사용 사용하기 정리 후기 경험 개발 개발자
+  기술 블로그 글 편 부 첫 번째 두 번째`.split(/\s+/)
+);
+
+function isStopword(token) {
+  return (
+    ENGLISH_STOPWORDS.has(token) ||
+    KOREAN_STOPWORDS.has(token) ||
+    /^\d+$/.test(token)
+  );
+}
+
+// 글 하나에 등장한 키워드와 두 단어 구문 (글마다 한 번만 계산)
+function extractTerms(article) {
+  const tokens = tokenize(`${article.title} ${article.contentSnippet || ""}`);
+  const terms = new Set();
+
+  tokens.forEach((token, index) => {
+    if (isStopword(token)) return;
+    terms.add(token);
+
+    const next = tokens[index + 1];
+    if (next && !isStopword(next)) {
+      terms.add(`${token} ${next}`);
+    }
+  });
+
+  return terms;
+}
+
+// 용어별 등장 글 목록
+function countTerms(articles) {
+  const counts = new Map();
+  for (const article of articles) {
+    for (const term of extractTerms(article)) {
+      if (!counts.has(term)) counts.set(term, []);
+      counts.get(term).push(article);
+    }
+  }
+  return counts;
+}
+
+// 두 글 목록이 겹치는 비율 (작은 쪽 기준)
+function getOverlapRatio(a, b) {
+  const shared = [...a].filter((link) => b.has(link)).length;
+  return shared / Math.min(a.size, b.size);
+}
+
+// 주간 트렌드 계산 (지난 7일과 그 전 7일의 등장 글 수 비교)
+// 반환: {from, to, articleCount, previousArticleCount, rising: [{term, count, previousCount, examples}]}
+function computeWeeklyTrends(options = {}) {
+  const {now = new Date(), limit = 10} = options;
+  const to = new Date(now);
+  const from = new Date(to.getTime() - WEEK_MS);
+  const previousFrom = new Date(from.getTime() - WEEK_MS);
+
+  const articles = getArticlesBetween(from, to);
+  const previousArticles = getArticlesBetween(previousFrom, from);
+  const counts = countTerms(articles);
+  const previousCounts = countTerms(previousArticles);
+
+  // 전 주 대비 증가 폭이 크고, 전 주에 드물었을수록 높은 점수
+  const candidates = Array.from(counts.entries())
+    .map(([term, termArticles]) => {
+      const count = termArticles.length;
+      const previousCount = (previousCounts.get(term) || []).length;
+      return {
+        term,
+        count,
+        previousCount,
+        score: (count - previousCount) / Math.sqrt(previousCount + 1),
+        links: new Set(termArticles.map((article) => article.link)),
+        examples: termArticles.slice(0, EXAMPLES_PER_TERM),
+      };
+    })
+    .filter(
+      ({count, previousCount}) => count >= MIN_COUNT && count > previousCount
+    )
+    .sort((a, b) => b.score - a.score || b.count - a.count);
+
+  // 구문과 거의 같은 글에만 나온 단어는 구문으로 대신 표시하고,
+  // 이미 고른 용어와 단어를 공유하며 같은 글에서 나온 구문은 건너뜀
+  const rising = [];
+  for (const candidate of candidates) {
+    if (rising.length >= limit) break;
+
+    const words = candidate.term.split(" ");
+    const coveredByPhrase = candidates.some(
+      (other) =>
+        other.term !== candidate.term &&
+        other.term.split(" ").includes(candidate.term) &&
+        other.count >= candidate.count * 0.8
+    );
+    const overlapsPicked = rising.some(
+      (picked) =>
+        picked.term.split(" ").some((word) => words.includes(word)) &&
+        getOverlapRatio(picked.links, candidate.links) >= 0.8
+    );
+    if (coveredByPhrase || overlapsPicked) continue;
+
+    rising.push(candidate);
+  }
+
+  return {
+    from,
+    to,
+    articleCount: articles.length,
+    previousArticleCount: previousArticles.length,
+    rising,
+  };
+}
+
+module.exports = {
+  computeWeeklyTrends,
+};
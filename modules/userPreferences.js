@@ -0,0 +1,140 @@
+const {readJson, writeJson} = require("./jsonStore");
+const {logger} = require("./logger");
+
+const PREFERENCES_FILE =
+  process.env.USER_PREFERENCES_FILE || "user-preferences.json";
+
+// 페이지 크기 선택지 (뉴스 하나가 블록 최대 2개라 메시지 블록 50개 제한 안에서 고름)
+const PAGE_SIZE_OPTIONS = [3, 5, 10, 15];
+
+// 언어 선택지 (all: 전체, ko: 한국어 글만, en: 영어 글만)
+const LANGUAGE_OPTIONS = {
+  all: "전체",
+  ko: "한국어",
+  en: "영어",
+};
+
+// 결과 공개 범위 (in_channel: 채널에 공개, ephemeral: 나에게만 표시)
+const VISIBILITY_OPTIONS = {
+  in_channel: "채널에 공개",
+  ephemeral: "나에게만 표시",
+};
+
+const DEFAULT_PREFERENCES = {
+  preferredSources: [],
+  mutedSources: [],
+  pageSize: 5,
+  language: "all",
+  visibility: "in_channel",
+};
+
+// 선호 소스 글을 앞에 보여줄 기간 (오래된 글이 최신 글을 밀어내지 않도록)
+const PREFERRED_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// 사용자별 설정: {userId: {preferredSources, mutedSources, pageSize, language, visibility, updatedAt}}
+let preferencesByUser = null;
+
+function loadPreferences() {
+  if (!preferencesByUser) {
+    preferencesByUser = readJson(PREFERENCES_FILE, {});
+  }
+  return preferencesByUser;
+}
+
+function savePreferences() {
+  try {
+    writeJson(PREFERENCES_FILE, preferencesByUser);
+  } catch (error) {
+    logger.error(`❌ [사용자 설정] 저장 실패: ${error.message}`);
+  }
+}
+
+// 저장된 값 검증 (잘못된 값은 기본값으로)
+function normalizePreferences(preferences = {}) {
+  const toList = (value) =>
+    Array.isArray(value)
+      ? Array.from(new Set(value.filter((v) => typeof v === "string")))
+      : [];
+
+  return {
+    preferredSources: toList(preferences.preferredSources),
+    mutedSources: toList(preferences.mutedSources),
+    pageSize: PAGE_SIZE_OPTIONS.includes(preferences.pageSize)
+      ? preferences.pageSize
+      : DEFAULT_PREFERENCES.pageSize,
+    language: LANGUAGE_OPTIONS[preferences.language]
+      ? preferences.language
+      : DEFAULT_PREFERENCES.language,
+    visibility: VISIBILITY_OPTIONS[preferences.visibility]
+      ? preferences.visibility
+      : DEFAULT_PREFERENCES.visibility,
+  };
+}
+
+// 사용자 설정 (저장된 설정이 없으면 기본값)
+function getPreferences(userId) {
+  return normalizePreferences(loadPreferences()[userId]);
+}
+
+// 사용자 설정 저장 (같은 소스를 선호와 제외에 동시에 지정하면 오류)
+function setPreferences(userId, preferences) {
+  const normalized = normalizePreferences(preferences);
+  const conflicts = normalized.preferredSources.filter((source) =>
+    normalized.mutedSources.includes(source)
+  );
+  if (conflicts.length > 0) {
+    throw new Error(
+      `선호 소스와 제외 소스에 모두 들어 있습니다: ${conflicts.join(", ")}`
+    );
+  }
+
+  loadPreferences()[userId] = {
+    ...normalized,
+    updatedAt: new Date().toISOString(),
+  };
+  savePreferences();
+  return normalized;
+}
+
+// 글의 언어 추정 (제목에 한글이 있으면 한국어)
+function detectLanguage(item) {
+  return /[가-힣]/.test(item.title || "") ? "ko" : "en";
+}
+
+// 제외 소스와 언어 설정 적용 (순서는 유지)
+function filterByPreferences(items, preferences) {
+  return items.filter(
+    (item) =>
+      !preferences.mutedSources.includes(item.source) &&
+      (preferences.language === "all" ||
+        detectLanguage(item) === preferences.language)
+  );
+}
+
+// 설정 적용 후 최근 24시간 안의 선호 소스 글을 앞으로 (나머지는 원래 순서)
+function applyPreferences(items, preferences) {
+  const filtered = filterByPreferences(items, preferences);
+  if (preferences.preferredSources.length === 0) return filtered;
+
+  const since = Date.now() - PREFERRED_WINDOW_MS;
+  const isPreferred = (item) =>
+    preferences.preferredSources.includes(item.source) &&
+    new Date(item.isoDate || item.pubDate) >= since;
+
+  return [
+    ...filtered.filter(isPreferred),
+    ...filtered.filter((item) => !isPreferred(item)),
+  ];
+}
+
+module.exports = {
+  PAGE_SIZE_OPTIONS,
+  LANGUAGE_OPTIONS,
+  VISIBILITY_OPTIONS,
+  DEFAULT_PREFERENCES,
+  getPreferences,
+  setPreferences,
+  detectLanguage,
+  filterByPreferences,
+  applyPreferences,
+};